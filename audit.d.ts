@@ -0,0 +1,68 @@
+/**
+ * Type declarations for audit.js
+ */
+
+import type { ThemeParser, ThemeData, TokenName, TokenValue } from './parser.js';
+
+export type ContrastLevel = 'AA' | 'AAA';
+
+export interface ContrastRule {
+	name: string;
+	/** Thresholds to check against: 'text' (WCAG 1.4.3/1.4.6) or 'icon' (WCAG 1.4.11) */
+	kind: 'text' | 'icon';
+	/** Matches the foreground tokens the rule applies to */
+	match: RegExp;
+	/** Candidate background names for a matched foreground, most specific first */
+	backgrounds(match: RegExpMatchArray): TokenName[];
+	/** Alpha tokens to try for the picked background, most specific first (default: opaque) */
+	alpha?(background: TokenName): TokenName[];
+}
+
+export const DEFAULT_CONTRAST_RULES: ContrastRule[];
+
+export interface ThemeAuditorOptions {
+	/** (default: 'AA') */
+	level?: ContrastLevel;
+	/** Pairing rules (default: DEFAULT_CONTRAST_RULES) */
+	rules?: ContrastRule[];
+	/** Parser used to merge and resolve themes (default: a new ThemeParser) */
+	parser?: ThemeParser;
+}
+
+export interface ContrastPair {
+	rule: string;
+	kind: 'text' | 'icon';
+	foreground: TokenName;
+	background: TokenName;
+	/** "r,g,b" */
+	foregroundValue: string;
+	/** "r,g,b" of the visible background, after blending with its alpha token */
+	backgroundValue: string;
+	/** Rounded to two decimals */
+	ratio: number;
+	aa: boolean;
+	aaa: boolean;
+}
+
+export interface AuditResult {
+	level: ContrastLevel;
+	pairs: ContrastPair[];
+	/** Pairs failing the auditor's level */
+	failures: ContrastPair[];
+	/** Foregrounds that matched a rule but had no color value or no colored background */
+	skipped: number;
+}
+
+export class ThemeAuditor {
+	constructor(options?: ThemeAuditorOptions);
+
+	level: ContrastLevel;
+	rules: ContrastRule[];
+	parser: ThemeParser;
+
+	auditThemes(themes: ThemeData[]): AuditResult;
+	audit(themeData: ThemeData): AuditResult;
+	compositeBackground(background: TokenName, resolved: Map<TokenName, TokenValue>, alphaNames?: TokenName[]): string;
+}
+
+export default ThemeAuditor;
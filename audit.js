@@ -0,0 +1,220 @@
+/**
+ * ThemeAuditor - WCAG contrast audit of theme token pairs
+ *
+ * Resolves foreground tokens (text, labels, icons) and the background
+ * they sit on through a merged theme, computes the WCAG 2.x contrast
+ * ratio and reports the pairs that fail AA or AAA.
+ */
+
+import { ThemeParser } from './parser.js';
+import { parseRgb, contrastRatio } from './color.js';
+
+/**
+ * Background used when a foreground has no background of its own
+ * (e.g. bare buttons that sit directly on the page)
+ */
+const PAGE_BACKGROUND = '--now-color_background--primary';
+
+/**
+ * Minimum contrast ratios per kind of foreground
+ * Text follows WCAG 1.4.3/1.4.6; icons follow 1.4.11 (non-text contrast),
+ * which has no AAA level.
+ */
+const THRESHOLDS = {
+	text: { AA: 4.5, AAA: 7 },
+	icon: { AA: 3, AAA: 3 }
+};
+
+/**
+ * Component variants drawn without a fill of their own in the Now Design
+ * System (secondary, tertiary and bare actionables), whose backgrounds use
+ * the component-level alpha tokens unless the variant has its own
+ */
+const TRANSLUCENT_VARIANT = /^(?:secondary|tertiary)|_bare/;
+
+/**
+ * List the alpha tokens of a component background, most specific first
+ * --now-actionable--secondary--background-color--hover falls back through
+ * - --now-actionable--secondary--background-color-alpha--hover
+ * - --now-actionable--secondary--background-color-alpha
+ * - --now-actionable--background-color-alpha--hover (translucent variants only)
+ * - --now-actionable--background-color-alpha (translucent variants only)
+ *
+ * @param {String} background - Background token name
+ * @returns {String[]} Alpha token names (none for other backgrounds)
+ */
+function componentAlphaTokens(background) {
+	const match = background.match(/^--now-([a-z]+(?:-[a-z]+)*)--(.+?)--background-color(--.+)?$/);
+	if (!match) return [];
+
+	const [, component, variant, state = ''] = match;
+	const names = [
+		`--now-${component}--${variant}--background-color-alpha${state}`,
+		`--now-${component}--${variant}--background-color-alpha`
+	];
+
+	if (TRANSLUCENT_VARIANT.test(variant)) {
+		names.push(
+			`--now-${component}--background-color-alpha${state}`,
+			`--now-${component}--background-color-alpha`
+		);
+	}
+
+	return names.filter((name, index) => names.indexOf(name) === index);
+}
+
+/**
+ * Default rules pairing foreground tokens with their backgrounds
+ * Each rule matches a foreground token name and returns candidate
+ * background names, most specific first. A rule's optional alpha function
+ * returns the alpha tokens to try for the background that was picked;
+ * backgrounds of rules without one are treated as opaque.
+ */
+export const DEFAULT_CONTRAST_RULES = [
+	{
+		// --now-color_text--primary ↔ --now-color_background--primary
+		name: 'text-on-background',
+		kind: 'text',
+		match: /^--now-color_text--(.+)$/,
+		backgrounds: ([, variant]) => [`--now-color_background--${variant}`, PAGE_BACKGROUND]
+	},
+	{
+		// --now-actionable_label--primary--color--hover ↔ --now-actionable--primary--background-color--hover
+		name: 'label-on-component',
+		kind: 'text',
+		match: /^--now-([a-z-]+)_label--(.+?)--color(--.+)?$/,
+		backgrounds: ([, component, variant, state = '']) => [
+			`--now-${component}--${variant}--background-color${state}`,
+			`--now-${component}--${variant}--background-color`,
+			PAGE_BACKGROUND
+		],
+		alpha: componentAlphaTokens
+	},
+	{
+		// --now-actionable_icon--primary--color ↔ --now-actionable--primary--background-color
+		name: 'icon-on-component',
+		kind: 'icon',
+		match: /^--now-([a-z-]+)_(?:icon|trigger-icon)--(.+?)--color(--.+)?$/,
+		backgrounds: ([, component, variant, state = '']) => [
+			`--now-${component}--${variant}--background-color${state}`,
+			`--now-${component}--${variant}--background-color`,
+			PAGE_BACKGROUND
+		],
+		alpha: componentAlphaTokens
+	}
+];
+
+export class ThemeAuditor {
+	/**
+	 * Create a new auditor
+	 * @param {Object} options - Configuration options
+	 * @param {String} options.level - 'AA' or 'AAA' (default: 'AA')
+	 * @param {Object[]} options.rules - Pairing rules (default: DEFAULT_CONTRAST_RULES)
+	 * @param {ThemeParser} options.parser - Parser used to merge and resolve themes
+	 */
+	constructor(options = {}) {
+		this.level = options.level || 'AA';
+		this.rules = options.rules || DEFAULT_CONTRAST_RULES;
+		this.parser = options.parser || new ThemeParser();
+	}
+
+	/**
+	 * Merge theme files and audit the result
+	 * @param {Object[]} themes - Theme objects in merge order
+	 * @returns {Object} Audit result (see audit)
+	 */
+	auditThemes(themes) {
+		return this.audit(this.parser.merge(themes));
+	}
+
+	/**
+	 * Audit a merged theme
+	 * Pairs whose colors don't resolve to "r,g,b" triplets (e.g. 'transparent')
+	 * fall back to the next candidate background, or are counted as skipped.
+	 * Backgrounds paired with an "-alpha" token by their rule (e.g. secondary
+	 * buttons, which are transparent until hovered) are blended over the page
+	 * background before the ratio is computed.
+	 *
+	 * @param {Object} themeData - Merged theme object
+	 * @returns {Object} { level, pairs, failures, skipped } where each pair is
+	 *   { rule, kind, foreground, background, foregroundValue, backgroundValue, ratio, aa, aaa }
+	 */
+	audit(themeData) {
+		const resolved = this.parser.resolveAll(themeData);
+		const isColor = (value) => typeof value === 'string' && this.parser.isRgbTriplet(value);
+		const pairs = [];
+		let skipped = 0;
+
+		resolved.forEach((foregroundValue, foreground) => {
+			const rule = this.rules.find(candidate => candidate.match.test(foreground));
+			if (!rule) return;
+
+			if (!isColor(foregroundValue)) {
+				skipped++;
+				return;
+			}
+
+			const background = rule.backgrounds(foreground.match(rule.match))
+				.find(name => isColor(resolved.get(name)));
+
+			if (!background) {
+				skipped++;
+				return;
+			}
+
+			const alphaNames = rule.alpha ? rule.alpha(background) : [];
+			const backgroundValue = this.compositeBackground(background, resolved, alphaNames);
+			const ratio = contrastRatio(parseRgb(foregroundValue), parseRgb(backgroundValue));
+			const thresholds = THRESHOLDS[rule.kind] || THRESHOLDS.text;
+
+			pairs.push({
+				rule: rule.name,
+				kind: rule.kind,
+				foreground,
+				background,
+				foregroundValue,
+				backgroundValue,
+				ratio: Math.round(ratio * 100) / 100,
+				aa: ratio >= thresholds.AA,
+				aaa: ratio >= thresholds.AAA
+			});
+		});
+
+		const passKey = this.level === 'AAA' ? 'aaa' : 'aa';
+
+		return {
+			level: this.level,
+			pairs,
+			failures: pairs.filter(pair => !pair[passKey]),
+			skipped
+		};
+	}
+
+	/**
+	 * Get the color a background actually shows, taking its alpha token into account
+	 * The first alpha token the theme defines applies.
+	 *
+	 * @param {String} background - Background token name
+	 * @param {Map<String, *>} resolved - Resolved theme tokens
+	 * @param {String[]} alphaNames - Alpha tokens paired with the background by its rule (default: none)
+	 * @returns {String} "r,g,b" of the visible background
+	 */
+	compositeBackground(background, resolved, alphaNames = []) {
+		const value = resolved.get(background);
+		const alphaName = alphaNames.find(name => resolved.has(name));
+		const alpha = alphaName ? parseFloat(resolved.get(alphaName)) : 1;
+		const page = resolved.get(PAGE_BACKGROUND);
+
+		if (isNaN(alpha) || alpha >= 1 || background === PAGE_BACKGROUND || !this.parser.isRgbTriplet(page)) {
+			return value;
+		}
+
+		const [fr, fg, fb] = parseRgb(value);
+		const [pr, pg, pb] = parseRgb(page);
+		const blend = (channel, under) => Math.round(channel * alpha + under * (1 - alpha));
+
+		return `${blend(fr, pr)},${blend(fg, pg)},${blend(fb, pb)}`;
+	}
+}
+
+export default ThemeAuditor;
@@ -0,0 +1,25 @@
+/**
+ * Type declarations for brand.js
+ */
+
+import type { ThemeParser, ThemeData, TokenName } from './parser.js';
+import type { BrandSeed } from './index.js';
+
+export const ALERT_NAMES: ['critical', 'high', 'warning', 'moderate', 'info', 'positive', 'low'];
+
+export interface BrandVariantOptions {
+	/** Parser used to merge and generate scales (default: a new ThemeParser) */
+	parser?: ThemeParser;
+}
+
+/**
+ * @returns "r,g,b"
+ * @throws If the value is not "r,g,b", "#rrggbb" or "#rgb"
+ */
+export function parseSeedColor(value: unknown, label: string): string;
+/** @throws If the seed has no primary color or names an unknown alert */
+export function deriveBrandBase(seed: BrandSeed, isDark: boolean): Record<TokenName, string>;
+/** @throws If the seed has no primary color, an invalid color or an unknown mode */
+export function generateBrandVariant(seed: BrandSeed, templateThemes: ThemeData[], options?: BrandVariantOptions): ThemeData;
+
+export default generateBrandVariant;
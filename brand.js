@@ -0,0 +1,149 @@
+/**
+ * Brand theme generation from a few seed colors
+ *
+ * Builds a complete colors variant from a primary color (plus optional
+ * secondary, neutral, link, focus and alert colors) by replacing the
+ * base colors of an existing template variant. The template's properties
+ * alias graph and scale configuration are reused as-is, and every color
+ * scale is regenerated from the new base colors, so the result can be
+ * applied like any other variant.
+ */
+
+import { ThemeParser } from './parser.js';
+import { parseRgb, formatRgb, rgbToOklch, oklchToRgb, mixOklch } from './color.js';
+
+/**
+ * Alert colors a seed can set (--now-color_alert--<name>)
+ */
+export const ALERT_NAMES = ['critical', 'high', 'warning', 'moderate', 'info', 'positive', 'low'];
+
+/**
+ * Normalize a seed color to an "r,g,b" string
+ * @param {String} value - "r,g,b", "#rrggbb" or "#rgb"
+ * @param {String} label - Seed key, for error messages
+ * @returns {String} "r,g,b"
+ * @throws {Error} If the value is not a color
+ */
+export function parseSeedColor(value, label) {
+	if (typeof value === 'string') {
+		const hex = value.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+		if (hex) {
+			const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+			return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16)).join(',');
+		}
+
+		const channels = value.split(',').map(channel => channel.trim());
+		if (channels.length === 3 && channels.every(channel => /^\d{1,3}$/.test(channel) && Number(channel) <= 255)) {
+			return channels.map(Number).join(',');
+		}
+	}
+
+	throw new Error(`Invalid seed color for ${label}: "${value}" (expected "r,g,b" or "#rrggbb")`);
+}
+
+/**
+ * Same hue as a color at a fixed OKLCH lightness, with chroma capped
+ * @param {Number[]} rgb - [r, g, b]
+ * @param {Number} lightness - OKLCH lightness (0-1)
+ * @param {Number} maxChroma - Upper limit for chroma
+ * @returns {String} "r,g,b"
+ */
+function toneOf(rgb, lightness, maxChroma) {
+	const [, chroma, hue] = rgbToOklch(rgb);
+	return formatRgb(oklchToRgb([lightness, Math.min(chroma, maxChroma), hue]));
+}
+
+/**
+ * Check that a seed has the colors every variant needs
+ * @param {Object} seed - Seed colors (see generateBrandVariant)
+ * @throws {Error} If the seed or its primary color is missing
+ */
+function checkSeed(seed) {
+	if (!seed || !seed.primary) {
+		throw new Error('A brand seed needs at least a primary color');
+	}
+}
+
+/**
+ * Derive the base colors of a variant from a seed
+ * Colors the seed doesn't mention are derived from primary where the
+ * template ties them to the brand (secondary, neutral, surface, chrome,
+ * selection), and kept from the template otherwise (link, focus, alerts,
+ * grouped colors).
+ *
+ * @param {Object} seed - Seed colors (see generateBrandVariant)
+ * @param {Boolean} isDark - Whether the variant is dark
+ * @returns {Object} Base color name to "r,g,b"
+ */
+export function deriveBrandBase(seed, isDark) {
+	checkSeed(seed);
+
+	const primary = parseSeedColor(seed.primary, 'primary');
+	const primaryRgb = parseRgb(primary);
+	const optional = (key, derive) => (seed[key] ? parseSeedColor(seed[key], key) : derive());
+
+	const base = {
+		'--now-color--primary': primary,
+		'--now-color--secondary': optional('secondary', () => formatRgb(mixOklch(primaryRgb, isDark ? 0.3 : -0.15))),
+		'--now-color--neutral': optional('neutral', () => toneOf(primaryRgb, 0.4, 0.02)),
+		'--now-color--interactive': primary,
+		'--now-color_selection--secondary': formatRgb(mixOklch(primaryRgb, -0.1)),
+		'--now-color_surface--brand': primary,
+		'--now-color_chrome--brand': toneOf(primaryRgb, 0.28, 0.07),
+		'--now-color_chrome--divider': toneOf(primaryRgb, 0.37, 0.06)
+	};
+
+	if (seed.link) base['--now-color--link'] = parseSeedColor(seed.link, 'link');
+	if (seed.focus) base['--now-color--focus'] = parseSeedColor(seed.focus, 'focus');
+
+	Object.entries(seed.alerts || {}).forEach(([name, value]) => {
+		if (!ALERT_NAMES.includes(name)) {
+			throw new Error(`Unknown alert color "${name}" (expected one of: ${ALERT_NAMES.join(', ')})`);
+		}
+		base[`--now-color_alert--${name}`] = parseSeedColor(value, `alerts.${name}`);
+	});
+
+	return base;
+}
+
+/**
+ * Generate a complete colors variant from seed colors and a template
+ *
+ * @param {Object} seed - Seed colors, each "r,g,b" or "#rrggbb"
+ * @param {String} seed.primary - Brand color (required)
+ * @param {String} seed.secondary - Secondary color (default: derived from primary)
+ * @param {String} seed.neutral - Neutral gray base (default: primary's hue at low chroma)
+ * @param {String} seed.link - Link color (default: template's)
+ * @param {String} seed.focus - Focus ring color (default: template's)
+ * @param {Object} seed.alerts - Alert colors by name, e.g. { critical: '#d0021b' } (default: template's)
+ * @param {String} seed.mode - 'light' or 'dark' (default: 'light')
+ * @param {Object[]} templateThemes - Template variant chain in merge order (e.g. from loadVariantChain)
+ * @param {Object} options - Generation options
+ * @param {ThemeParser} options.parser - Parser used to merge and generate scales
+ * @returns {Object} Variant theme { isDark?, scales?, base, properties } with every scale step in base
+ *
+ * @example
+ * const chain = await loader.loadVariantChain('coral', 'light');
+ * const variant = generateBrandVariant({ primary: '#6b2fd0' }, chain.map(link => link.data));
+ */
+export function generateBrandVariant(seed, templateThemes, options = {}) {
+	const parser = options.parser || new ThemeParser();
+	checkSeed(seed);
+
+	if (seed.mode && seed.mode !== 'light' && seed.mode !== 'dark') {
+		throw new Error(`Unknown brand mode "${seed.mode}" (expected 'light' or 'dark')`);
+	}
+
+	const isDark = seed.mode === 'dark';
+
+	const merged = parser.merge([...templateThemes, { base: deriveBrandBase(seed, isDark) }]);
+	const variant = { base: merged.base, properties: merged.properties };
+
+	if (isDark) variant.isDark = 'true';
+	if (merged.scales) variant.scales = merged.scales;
+	if (merged.scaleAlgorithm) variant.scaleAlgorithm = merged.scaleAlgorithm;
+
+	return variant;
+}
+
+export default generateBrandVariant;
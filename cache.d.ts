@@ -0,0 +1,35 @@
+/**
+ * Type declarations for cache.js
+ */
+
+export const DEFAULT_CACHE_NAME: 'servicenow-theme-loader';
+
+export interface CacheEntry {
+	data: any;
+	text?: string | null;
+	bytes?: number;
+	etag: string | null;
+	lastModified: string | null;
+	/** cacheVersion the entry was stored under */
+	version: string;
+	/** Epoch milliseconds of the fetch or last revalidation */
+	storedAt: number;
+}
+
+/**
+ * Persistent store for fetched theme files, keyed by URL
+ */
+export interface CacheBackend {
+	/** Reported by getCacheStats() */
+	name?: string;
+	get(key: string): Promise<CacheEntry | null>;
+	set(key: string, entry: CacheEntry): Promise<void>;
+	delete(key: string): Promise<void>;
+	clear(): Promise<void>;
+}
+
+export function supportsCacheStorage(): boolean;
+export function createCacheStorageBackend(name?: string): CacheBackend;
+export function createPersistentCache(option: boolean | string | CacheBackend | null | undefined): CacheBackend | null;
+
+export default createPersistentCache;
@@ -0,0 +1,117 @@
+/**
+ * Persistent cache backends for fetched theme files
+ *
+ * The loader keeps parsed theme files in an in-memory Map for the current
+ * page. A persistent backend adds a second layer that survives reloads, so
+ * large files (coral's light colors.json is ~4,600 lines) are served from
+ * disk on the next visit and only revalidated over the network.
+ *
+ * A backend is any object with async get(key), set(key, entry), delete(key)
+ * and clear() methods. Keys are theme file URLs; entries are
+ * { data, text, bytes, etag, lastModified, version, storedAt }.
+ *
+ * @example
+ * const loader = new ServiceNowThemeLoader({ persistentCache: true, cacheVersion: '2024.3' });
+ */
+
+/**
+ * Default Cache Storage name
+ */
+export const DEFAULT_CACHE_NAME = 'servicenow-theme-loader';
+
+/**
+ * Response headers that carry entry metadata in Cache Storage
+ */
+const STORED_AT_HEADER = 'X-Theme-Cache-Stored-At';
+const VERSION_HEADER = 'X-Theme-Cache-Version';
+
+/**
+ * Check whether Cache Storage is available (it needs a secure context)
+ * @returns {Boolean}
+ */
+export function supportsCacheStorage() {
+	return typeof caches !== 'undefined' && typeof Response === 'function';
+}
+
+/**
+ * Create a backend on top of the Cache Storage API
+ * Each entry is stored as a JSON Response, with its ETag, Last-Modified,
+ * cache version and store time in the response headers.
+ *
+ * @param {String} name - Cache name (default: 'servicenow-theme-loader')
+ * @returns {Object} Backend { name, get, set, delete, clear }
+ */
+export function createCacheStorageBackend(name = DEFAULT_CACHE_NAME) {
+	let opened = null;
+	const open = () => {
+		if (!opened) {
+			opened = caches.open(name);
+		}
+		return opened;
+	};
+
+	return {
+		name: 'cache-storage',
+
+		async get(key) {
+			const response = await (await open()).match(key);
+			if (!response) return null;
+
+			const text = await response.text();
+			return {
+				data: JSON.parse(text),
+				text,
+				bytes: text.length,
+				etag: response.headers.get('ETag'),
+				lastModified: response.headers.get('Last-Modified'),
+				version: response.headers.get(VERSION_HEADER) || '',
+				storedAt: Number(response.headers.get(STORED_AT_HEADER)) || 0
+			};
+		},
+
+		async set(key, entry) {
+			const headers = {
+				'Content-Type': 'application/json',
+				[STORED_AT_HEADER]: String(entry.storedAt),
+				[VERSION_HEADER]: entry.version || ''
+			};
+			if (entry.etag) headers.ETag = entry.etag;
+			if (entry.lastModified) headers['Last-Modified'] = entry.lastModified;
+
+			const text = entry.text || JSON.stringify(entry.data);
+			await (await open()).put(key, new Response(text, { headers }));
+		},
+
+		async delete(key) {
+			await (await open()).delete(key);
+		},
+
+		async clear() {
+			opened = null;
+			await caches.delete(name);
+		}
+	};
+}
+
+/**
+ * Resolve the loader's persistentCache option to a backend
+ * @param {Boolean|String|Object} option - true for the default cache, a cache name, or a backend object
+ * @returns {Object|null} Backend, or null to keep only the in-memory cache
+ *   (also when Cache Storage isn't available)
+ */
+export function createPersistentCache(option) {
+	if (!option) return null;
+
+	if (typeof option === 'object') {
+		return option;
+	}
+
+	if (!supportsCacheStorage()) {
+		console.warn('Cache Storage is not available; theme files are only cached in memory');
+		return null;
+	}
+
+	return createCacheStorageBackend(typeof option === 'string' ? option : DEFAULT_CACHE_NAME);
+}
+
+export default createPersistentCache;
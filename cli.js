@@ -0,0 +1,803 @@
+#!/usr/bin/env node
+/**
+ * ServiceNow Theme Loader CLI
+ *
+ * Command-line entry point for working with theme directories outside
+ * the browser. Uses the same loader and parser pipeline as the runtime.
+ *
+ * Usage:
+ *   node cli.js <command> [options]
+ *
+ * Run `node cli.js help` for the list of commands.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { ServiceNowThemeLoader } from './index.js';
+import { ThemeCompiler } from './compiler.js';
+import { ThemeAuditor } from './audit.js';
+import { ThemeImporter } from './importer.js';
+import { ThemeDiffer } from './diff.js';
+import { buildManifest, normalizeFileEntry } from './manifest.js';
+import { toW3CTokens, fromW3CTokens, toStyleDictionary, fromStyleDictionary, toTokensStudio, fromTokensStudio } from './tokens.js';
+
+/**
+ * Theme shipped with the loader, used as the default import template
+ */
+const DEFAULT_TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'themes', 'coral');
+
+/**
+ * Read a themes/<name>/ directory into preloaded theme objects
+ * Keys follow the same layout the loader uses at runtime
+ * (e.g. 'themes/coral/variants/dark/colors.json').
+ *
+ * @param {String} themeDir - Path to a theme directory
+ * @returns {Object} { themeName, variants, preloadedThemes }
+ */
+function readThemeDirectory(themeDir) {
+	const themeName = path.basename(path.resolve(themeDir));
+	const preloadedThemes = {};
+
+	const walk = (dir) => {
+		fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+			const fullPath = path.join(dir, entry.name);
+
+			if (entry.isDirectory()) {
+				walk(fullPath);
+			} else if (entry.name.endsWith('.json')) {
+				const relative = path.relative(themeDir, fullPath).split(path.sep).join('/');
+				preloadedThemes[`themes/${themeName}/${relative}`] = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+			}
+		});
+	};
+
+	if (!fs.existsSync(themeDir) || !fs.statSync(themeDir).isDirectory()) {
+		throw new Error(`Theme directory not found: ${themeDir}`);
+	}
+
+	walk(themeDir);
+
+	const variantsDir = path.join(themeDir, 'variants');
+	const variants = fs.existsSync(variantsDir)
+		? fs.readdirSync(variantsDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+		: [];
+
+	return { themeName, variants, preloadedThemes };
+}
+
+/**
+ * Create a loader that serves a theme directory from memory
+ * Files are merged as the manifest next to the theme directory lists them
+ * (order, optional files), falling back to the directory listing.
+ *
+ * @param {String} themeDir - Path to a theme directory
+ * @returns {Object} { loader, themeName, variants, sourcePath } where sourcePath(file)
+ *   maps a loader path ('themes/<name>/...') back to the file under themeDir
+ */
+function createDirectoryLoader(themeDir) {
+	const { themeName, variants, preloadedThemes } = readThemeDirectory(themeDir);
+	const manifestPath = path.join(themeDir, '..', 'manifest.json');
+	const manifest = buildManifest(preloadedThemes, fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null);
+
+	// Optional files that don't exist on disk can't be fetched either
+	const exists = (entry) => `themes/${themeName}/${normalizeFileEntry(entry).path}` in preloadedThemes;
+	Object.values(manifest.themes).forEach(theme => {
+		theme.files = theme.files.filter(exists);
+		Object.values(theme.variants).forEach(info => {
+			info.files = info.files.filter(exists);
+		});
+	});
+
+	const loader = new ServiceNowThemeLoader({ preloadedThemes, manifest });
+	const prefix = `themes/${themeName}/`;
+	const sourcePath = (file) => (file && file.startsWith(prefix) ? path.join(themeDir, file.slice(prefix.length)) : file);
+
+	return { loader, themeName, variants, sourcePath };
+}
+
+/**
+ * Write a file, creating its directory if needed
+ * @param {String} filePath - Output path
+ * @param {String} contents - File contents
+ */
+function writeOutput(filePath, contents) {
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, contents);
+	console.log(`✓ Wrote ${filePath}`);
+}
+
+/**
+ * Restore the leading dashes of a token name given on the command line
+ * parseArgs reads '--now-color--neutral' after an option as another option,
+ * so names may be passed without them (e.g. 'now-color--neutral').
+ *
+ * @param {String} name - Token name or prefix, with or without leading dashes
+ * @returns {String} Name starting with '--'
+ */
+function tokenName(name) {
+	return name.startsWith('--') ? name : `--${name}`;
+}
+
+/**
+ * Create an importer that places tokens like a template theme does
+ * @param {String} templateDir - Template theme directory (default: themes/coral)
+ * @returns {ThemeImporter}
+ */
+function createImporter(templateDir = DEFAULT_TEMPLATE_DIR) {
+	return fs.existsSync(templateDir)
+		? ThemeImporter.fromTemplate(readThemeDirectory(templateDir).preloadedThemes)
+		: new ThemeImporter();
+}
+
+/**
+ * Write an importer result as a theme directory and report what didn't map cleanly
+ * @param {Object} result - ThemeImporter conversion result
+ * @param {Object} values - Parsed options (out, force, json, max)
+ */
+function writeImportedTheme(result, values) {
+	const themeDir = path.join(values.out, result.themeName);
+
+	if (fs.existsSync(themeDir) && !values.force) {
+		throw new Error(`${themeDir} already exists (use --force to overwrite, or --name)`);
+	}
+
+	Object.entries(result.files).forEach(([relativePath, theme]) => {
+		writeOutput(path.join(themeDir, relativePath), `${JSON.stringify(theme, null, 2)}\n`);
+	});
+
+	if (values.json) {
+		console.log(JSON.stringify({ unmapped: result.unmapped, variantSpecific: result.variantSpecific }, null, 2));
+		return;
+	}
+
+	const max = Number(values.max);
+	const lines = [
+		...result.unmapped.map(item => `[unmapped] ${item.token} (${item.style || '-'}): ${item.reason}`),
+		...result.variantSpecific.map(item => `[per-variant] ${item.token} is not the same in every variant, kept in colors.json instead of ${item.file}`)
+	];
+
+	console.log(`\n${result.unmapped.length === 0 ? '✓' : '✗'} ${result.themeName}: ${result.unmapped.length} unmapped tokens, ${result.variantSpecific.length} kept per variant`);
+	lines.slice(0, max).forEach(line => console.log(`  ${line}`));
+	if (lines.length > max) {
+		console.log(`  ... ${lines.length - max} more (use --max or --json)`);
+	}
+}
+
+/**
+ * Load one side of a diff
+ * @param {String} spec - Theme directory, 'theme-dir:variant' or a single theme JSON file
+ * @returns {Promise<Object>} { label, variants } where variants maps variant name
+ *   (null for a single file or 'dir:variant') to theme objects in merge order
+ */
+async function loadDiffSide(spec) {
+	if (fs.existsSync(spec) && fs.statSync(spec).isFile()) {
+		return { label: spec, variants: new Map([[null, [JSON.parse(fs.readFileSync(spec, 'utf8'))]]]) };
+	}
+
+	const separator = spec.lastIndexOf(':');
+	const hasVariant = separator > 0 && !fs.existsSync(spec);
+	const themeDir = hasVariant ? spec.slice(0, separator) : spec;
+	const { loader, themeName, variants } = createDirectoryLoader(themeDir);
+	const selected = hasVariant ? [spec.slice(separator + 1)] : variants;
+	const result = new Map();
+
+	for (const variant of selected) {
+		if (!variants.includes(variant)) {
+			throw new Error(`Unknown variant '${variant}' in ${themeDir} (expected one of: ${variants.join(', ')})`);
+		}
+
+		const { themes } = await loader.loadThemeFiles(themeName, variant);
+		result.set(hasVariant ? null : variant, themes);
+	}
+
+	return { label: hasVariant ? `${themeName} ${selected[0]}` : themeName, variants: result };
+}
+
+/**
+ * Format a diffed value with its resolved value when they differ
+ * @param {*} raw - Raw value
+ * @param {*} resolved - Resolved value
+ * @returns {String}
+ */
+function formatDiffValue(raw, resolved) {
+	return resolved === null || resolved === raw ? String(raw) : `${raw} (${resolved})`;
+}
+
+/**
+ * Design token formats supported by export-tokens and import-tokens
+ */
+const TOKEN_FORMATS = ['w3c', 'style-dictionary', 'tokens-studio'];
+
+/**
+ * Render scale comparisons as an HTML page of swatches
+ * @param {String} title - Page title
+ * @param {Object[]} comparisons - { colorName, baseValue, rows } per scale
+ * @returns {String} HTML document
+ */
+function renderScaleComparison(title, comparisons) {
+	const swatch = (rgb) => `<td style="background: rgb(${rgb})" title="${rgb}"></td>`;
+	const sections = comparisons.map(({ colorName, baseValue, rows }) => `
+	<h2>${colorName} <small>${baseValue}</small></h2>
+	<table>
+		<tr><th>index</th>${rows.map(row => `<th>${row.index}</th>`).join('')}</tr>
+		<tr><th>srgb</th>${rows.map(row => swatch(row.srgb)).join('')}</tr>
+		<tr><th>oklch</th>${rows.map(row => swatch(row.oklch)).join('')}</tr>
+		<tr><th>ΔE</th>${rows.map(row => `<td>${row.deltaE.toFixed(3)}</td>`).join('')}</tr>
+	</table>`).join('\n');
+
+	return `<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="utf-8">
+	<title>Scale comparison: ${title}</title>
+	<style>
+		body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; }
+		h2 small { font-weight: normal; color: #666; }
+		table { border-collapse: collapse; }
+		th, td { padding: 4px; font-size: 12px; text-align: center; }
+		td[style] { width: 40px; height: 32px; }
+	</style>
+</head>
+<body>
+	<h1>Scale comparison: ${title}</h1>
+	${sections}
+</body>
+</html>
+`;
+}
+
+const commands = {
+	compile: {
+		usage: 'compile <theme-dir> [--out dist] [--selector :root] [--minify] [--flatten] [--scale-algorithm srgb|oklch] [--color-scheme] [--light light] [--dark dark]',
+		description: 'Compile each variant of a theme into a static CSS file (<theme>-<variant>.css)',
+		options: {
+			out: { type: 'string', default: 'dist' },
+			selector: { type: 'string', default: ':root' },
+			minify: { type: 'boolean', default: false },
+			flatten: { type: 'boolean', default: false },
+			'scale-algorithm': { type: 'string' },
+			'color-scheme': { type: 'boolean', default: false },
+			light: { type: 'string', default: 'light' },
+			dark: { type: 'string', default: 'dark' }
+		},
+		async run(positionals, values) {
+			const [themeDir] = positionals;
+			if (!themeDir) {
+				throw new Error('Missing <theme-dir>');
+			}
+
+			const { loader, themeName, variants } = createDirectoryLoader(themeDir);
+			const compiler = new ThemeCompiler({
+				selector: values.selector,
+				minify: values.minify,
+				flatten: values.flatten,
+				scaleAlgorithm: values['scale-algorithm']
+			});
+			const compiled = {};
+
+			for (const variant of variants) {
+				const { themes } = await loader.loadThemeFiles(themeName, variant);
+				compiled[variant] = themes;
+				writeOutput(path.join(values.out, `${themeName}-${variant}.css`), compiler.compile(themes));
+			}
+
+			if (values['color-scheme']) {
+				const light = compiled[values.light];
+				const dark = compiled[values.dark];
+
+				if (!light || !dark) {
+					throw new Error(`--color-scheme needs both '${values.light}' and '${values.dark}' variants in ${themeDir}`);
+				}
+
+				writeOutput(path.join(values.out, `${themeName}.css`), compiler.compileColorScheme(light, dark));
+			}
+		}
+	},
+
+	bootstrap: {
+		usage: 'bootstrap <theme-dir> [--out dist] [--default light|auto] [--storage-key servicenow-theme] [--critical now-color_background--,...] [--flatten] [--scale-algorithm srgb|oklch]',
+		description: 'Write <theme>-bootstrap.js, an inline script that applies the critical tokens of the stored theme choice before first paint',
+		options: {
+			out: { type: 'string', default: 'dist' },
+			default: { type: 'string' },
+			'storage-key': { type: 'string' },
+			critical: { type: 'string' },
+			flatten: { type: 'boolean', default: false },
+			'scale-algorithm': { type: 'string' }
+		},
+		async run(positionals, values) {
+			const [themeDir] = positionals;
+			if (!themeDir) {
+				throw new Error('Missing <theme-dir>');
+			}
+
+			const { loader, themeName, variants } = createDirectoryLoader(themeDir);
+			const compiler = new ThemeCompiler({
+				flatten: values.flatten,
+				scaleAlgorithm: values['scale-algorithm']
+			});
+			const bootstrapVariants = {};
+
+			for (const variant of variants) {
+				const { themes } = await loader.loadThemeFiles(themeName, variant);
+				const colors = loader.preloadedThemes[`themes/${themeName}/variants/${variant}/colors.json`];
+				bootstrapVariants[variant] = { themes, isDark: String(colors.isDark) === 'true' };
+			}
+
+			if (values.default && values.default !== 'auto' && !variants.includes(values.default)) {
+				throw new Error(`Unknown --default ${values.default} (expected auto or one of: ${variants.join(', ')})`);
+			}
+
+			const script = compiler.compileBootstrap(themeName, bootstrapVariants, {
+				defaultVariant: values.default,
+				storageKey: values['storage-key'],
+				critical: values.critical
+					? values.critical.split(',').map(prefix => prefix.trim()).filter(Boolean).map(tokenName)
+					: undefined
+			});
+
+			writeOutput(path.join(values.out, `${themeName}-bootstrap.js`), script);
+		}
+	},
+
+	types: {
+		usage: 'types <theme-dir>... [--out dist] [--name theme-tokens]',
+		description: 'Write <name>.js and <name>.d.ts with every token name as a ThemeToken union and a typed token() helper',
+		options: {
+			out: { type: 'string', default: 'dist' },
+			name: { type: 'string', default: 'theme-tokens' }
+		},
+		async run(positionals, values) {
+			if (positionals.length === 0) {
+				throw new Error('Missing <theme-dir>');
+			}
+
+			const compiler = new ThemeCompiler();
+			const variantThemes = [];
+
+			for (const themeDir of positionals) {
+				const { loader, themeName, variants } = createDirectoryLoader(themeDir);
+
+				for (const variant of variants) {
+					const { themes } = await loader.loadThemeFiles(themeName, variant);
+					variantThemes.push(themes);
+				}
+			}
+
+			const names = compiler.collectTokenNames(variantThemes);
+
+			writeOutput(path.join(values.out, `${values.name}.js`), compiler.compileTokenModule(names));
+			writeOutput(path.join(values.out, `${values.name}.d.ts`), compiler.compileTokenTypes(names));
+			console.log(`✓ ${names.length} tokens`);
+		}
+	},
+
+	audit: {
+		usage: 'audit <theme-dir> [--level AA|AAA] [--json] [--max 20]',
+		description: 'Check WCAG contrast of text/label/icon tokens against their backgrounds; exits with 1 on failures',
+		options: {
+			level: { type: 'string', default: 'AA' },
+			json: { type: 'boolean', default: false },
+			max: { type: 'string', default: '20' }
+		},
+		async run(positionals, values) {
+			const [themeDir] = positionals;
+			if (!themeDir) {
+				throw new Error('Missing <theme-dir>');
+			}
+
+			const level = values.level.toUpperCase();
+			if (level !== 'AA' && level !== 'AAA') {
+				throw new Error(`Unknown --level ${values.level} (expected AA or AAA)`);
+			}
+
+			const { loader, themeName, variants } = createDirectoryLoader(themeDir);
+			const auditor = new ThemeAuditor({ level, parser: loader.parser });
+			const max = Number(values.max);
+			const report = {};
+			let failureCount = 0;
+
+			for (const variant of variants) {
+				const { themes } = await loader.loadThemeFiles(themeName, variant);
+				const result = auditor.auditThemes(themes);
+				report[variant] = result;
+				failureCount += result.failures.length;
+
+				if (values.json) continue;
+
+				const status = result.failures.length === 0 ? '✓' : '✗';
+				console.log(`\n${status} ${themeName} ${variant}: ${result.failures.length} of ${result.pairs.length} pairs fail ${level} (${result.skipped} skipped)`);
+				result.failures.slice(0, max).forEach(pair => {
+					console.log(`  ${pair.ratio.toFixed(2)}:1  ${pair.foreground} (${pair.foregroundValue}) on ${pair.background} (${pair.backgroundValue})`);
+				});
+				if (result.failures.length > max) {
+					console.log(`  ... ${result.failures.length - max} more (use --max or --json)`);
+				}
+			}
+
+			if (values.json) {
+				console.log(JSON.stringify(report, null, 2));
+			}
+
+			if (failureCount > 0) {
+				process.exitCode = 1;
+			}
+		}
+	},
+
+	manifest: {
+		usage: 'manifest [themes-dir] [--out <themes-dir>/manifest.json] [--check]',
+		description: 'Write themes/manifest.json listing every theme, variant and file (keeps labels and metadata of an existing manifest)',
+		options: {
+			out: { type: 'string' },
+			check: { type: 'boolean', default: false }
+		},
+		async run(positionals, values) {
+			const themesDir = positionals[0] || 'themes';
+			const out = values.out || path.join(themesDir, 'manifest.json');
+
+			if (!fs.existsSync(themesDir) || !fs.statSync(themesDir).isDirectory()) {
+				throw new Error(`Themes directory not found: ${themesDir}`);
+			}
+
+			const themeFiles = {};
+			fs.readdirSync(themesDir, { withFileTypes: true })
+				.filter(entry => entry.isDirectory())
+				.forEach(entry => Object.assign(themeFiles, readThemeDirectory(path.join(themesDir, entry.name)).preloadedThemes));
+
+			const existing = fs.existsSync(out) ? fs.readFileSync(out, 'utf8') : null;
+			const manifest = buildManifest(themeFiles, existing ? JSON.parse(existing) : null);
+			const contents = `${JSON.stringify(manifest, null, 2)}\n`;
+
+			if (values.check) {
+				if (contents !== existing) {
+					console.log(`✗ ${out} is out of date (run node cli.js manifest ${themesDir})`);
+					process.exitCode = 1;
+				} else {
+					console.log(`✓ ${out} is up to date`);
+				}
+				return;
+			}
+
+			writeOutput(out, contents);
+			Object.entries(manifest.themes).forEach(([themeName, theme]) => {
+				console.log(`  ${themeName}: ${Object.keys(theme.variants).join(', ')}`);
+			});
+		}
+	},
+
+	diff: {
+		usage: 'diff <before> <after> [--resolved] [--json] [--max 20]',
+		description: 'List tokens added, removed or changed between two themes, variants (<theme-dir>:<variant>) or theme files',
+		options: {
+			resolved: { type: 'boolean', default: false },
+			json: { type: 'boolean', default: false },
+			max: { type: 'string', default: '20' }
+		},
+		async run(positionals, values) {
+			const [beforeSpec, afterSpec] = positionals;
+			if (!beforeSpec || !afterSpec) {
+				throw new Error('Missing <before> or <after>');
+			}
+
+			const before = await loadDiffSide(beforeSpec);
+			const after = await loadDiffSide(afterSpec);
+			const beforeSingle = before.variants.has(null);
+			const afterSingle = after.variants.has(null);
+
+			if (beforeSingle !== afterSingle) {
+				throw new Error('Compare two theme directories, or two variants/files (<theme-dir>:<variant> or a .json file)');
+			}
+
+			const differ = new ThemeDiffer();
+			const max = Number(values.max);
+			const report = {};
+
+			before.variants.forEach((themes, variant) => {
+				if (!after.variants.has(variant) && !values.json) {
+					console.log(`\n- ${before.label} ${variant}: variant removed`);
+				}
+			});
+
+			after.variants.forEach((afterThemes, variant) => {
+				const label = variant === null ? `${before.label} → ${after.label}` : `${before.label} ${variant} → ${after.label} ${variant}`;
+
+				if (!before.variants.has(variant)) {
+					if (!values.json) console.log(`\n+ ${after.label} ${variant}: variant added`);
+					return;
+				}
+
+				const result = differ.diffThemes(before.variants.get(variant), afterThemes);
+				report[variant === null ? 'diff' : variant] = result;
+
+				if (values.json) return;
+
+				const rawChanges = result.changed.filter(entry => entry.kind === 'raw');
+				const resolvedChanges = result.changed.filter(entry => entry.kind === 'resolved');
+				const changes = result.added.length + result.removed.length + result.changed.length + result.scales.length;
+
+				console.log(`\n${changes === 0 ? '✓' : '~'} ${label}: ${result.added.length} added, ${result.removed.length} removed, ${rawChanges.length} changed, ${resolvedChanges.length} changed only when resolved`);
+
+				if (result.causes.length > 0) {
+					console.log('  Resolved values changed by:');
+					result.causes.slice(0, Math.min(max, 10)).forEach(({ token, dependents }) => {
+						console.log(`    ${token} (${dependents} tokens)`);
+					});
+				}
+
+				const lines = [
+					...result.scales.map(({ color, before: previous, after: next }) => `~ scale ${color}: ${JSON.stringify(previous)} → ${JSON.stringify(next)}`),
+					...result.added.map(entry => `+ ${entry.token}: ${formatDiffValue(entry.raw, entry.resolved)}`),
+					...result.removed.map(entry => `- ${entry.token}: ${formatDiffValue(entry.raw, entry.resolved)}`),
+					...rawChanges.map(entry => `~ ${entry.token}: ${formatDiffValue(entry.before, entry.resolvedBefore)} → ${formatDiffValue(entry.after, entry.resolvedAfter)}${entry.scale ? ` [scale of ${entry.scale}]` : ''}`),
+					...(values.resolved ? resolvedChanges.map(entry => `= ${entry.token}: ${entry.resolvedBefore} → ${entry.resolvedAfter} (via ${entry.cause || '?'})`) : [])
+				];
+
+				lines.slice(0, max).forEach(line => console.log(`  ${line}`));
+				if (lines.length > max) {
+					console.log(`  ... ${lines.length - max} more (use --max or --json)`);
+				}
+			});
+
+			if (values.json) {
+				console.log(JSON.stringify(report, null, 2));
+			}
+		}
+	},
+
+	scales: {
+		usage: 'scales <theme-dir> [--variant light] [--color now-color--neutral] [--html <file>]',
+		description: 'Compare the sRGB and OKLCH scale algorithms for every scale of a variant',
+		options: {
+			variant: { type: 'string', default: 'light' },
+			color: { type: 'string' },
+			html: { type: 'string' }
+		},
+		async run(positionals, values) {
+			const [themeDir] = positionals;
+			if (!themeDir) {
+				throw new Error('Missing <theme-dir>');
+			}
+
+			const { loader, themeName } = createDirectoryLoader(themeDir);
+			const { parser } = loader;
+			const { themes } = await loader.loadThemeFiles(themeName, values.variant);
+			const merged = parser.merge(themes);
+			const color = values.color ? tokenName(values.color) : null;
+			const comparisons = [];
+
+			parser.getScaleTargets(merged).forEach((config, colorName) => {
+				if (color && color !== colorName) return;
+
+				const baseValue = merged.base[config.from || colorName];
+				if (typeof baseValue !== 'string') return;
+
+				comparisons.push({
+					colorName,
+					baseValue,
+					rows: parser.compareScaleAlgorithms(baseValue, config.points || 4, config)
+				});
+			});
+
+			if (comparisons.length === 0) {
+				throw new Error(color ? `No scale declared for ${color}` : 'No scales declared');
+			}
+
+			if (values.html) {
+				writeOutput(values.html, renderScaleComparison(`${themeName} ${values.variant}`, comparisons));
+				return;
+			}
+
+			comparisons.forEach(({ colorName, baseValue, rows }) => {
+				const maxDelta = Math.max(...rows.map(row => row.deltaE));
+				console.log(`\n${colorName} (${baseValue}), max ΔE ${maxDelta.toFixed(3)}`);
+				rows.forEach(row => {
+					console.log(`  ${String(row.index).padStart(2)}  srgb ${row.srgb.padEnd(11)}  oklch ${row.oklch.padEnd(11)}  ΔE ${row.deltaE.toFixed(3)}`);
+				});
+			});
+		}
+	},
+
+	import: {
+		usage: 'import <export-file> [--out themes] [--name <theme>] [--variant light] [--template themes/coral] [--force] [--json] [--max 20]',
+		description: 'Convert a ServiceNow theme export (sys_ux_style XML, update set or JSON) into a theme directory',
+		options: {
+			out: { type: 'string', default: 'themes' },
+			name: { type: 'string' },
+			variant: { type: 'string', default: 'light' },
+			template: { type: 'string' },
+			force: { type: 'boolean', default: false },
+			json: { type: 'boolean', default: false },
+			max: { type: 'string', default: '20' }
+		},
+		async run(positionals, values) {
+			const [exportFile] = positionals;
+			if (!exportFile) {
+				throw new Error('Missing <export-file>');
+			}
+
+			const result = createImporter(values.template).convert(fs.readFileSync(exportFile, 'utf8'), {
+				name: values.name,
+				variant: values.variant
+			});
+
+			writeImportedTheme(result, values);
+		}
+	},
+
+	'export-tokens': {
+		usage: 'export-tokens <theme-dir> --format w3c|style-dictionary|tokens-studio [--out dist]',
+		description: 'Export a theme as design tokens (<theme>-<variant>.tokens.json per variant, or <theme>.tokens-studio.json)',
+		options: {
+			format: { type: 'string', default: 'w3c' },
+			out: { type: 'string', default: 'dist' }
+		},
+		async run(positionals, values) {
+			const [themeDir] = positionals;
+			if (!themeDir) {
+				throw new Error('Missing <theme-dir>');
+			}
+			if (!TOKEN_FORMATS.includes(values.format)) {
+				throw new Error(`Unknown --format ${values.format} (expected one of: ${TOKEN_FORMATS.join(', ')})`);
+			}
+
+			const { loader, themeName, variants } = createDirectoryLoader(themeDir);
+			const { parser } = loader;
+			const isDarkVariant = (variant) => String((loader.preloadedThemes[`themes/${themeName}/variants/${variant}/colors.json`] || {}).isDark) === 'true';
+
+			if (values.format !== 'tokens-studio') {
+				const convert = values.format === 'w3c' ? toW3CTokens : toStyleDictionary;
+				const suffix = values.format === 'w3c' ? 'tokens' : 'style-dictionary';
+
+				for (const variant of variants) {
+					const { themes } = await loader.loadThemeFiles(themeName, variant);
+					const tokens = convert(parser.merge(themes), { isDark: isDarkVariant(variant) });
+					writeOutput(path.join(values.out, `${themeName}-${variant}.${suffix}.json`), `${JSON.stringify(tokens, null, 2)}\n`);
+				}
+				return;
+			}
+
+			// One set per variant (with generated scale steps) plus one per shared file
+			const sets = {};
+			const studioThemes = [];
+
+			for (const variant of variants) {
+				const { themes, paths, chainLength } = await loader.loadThemeFiles(themeName, variant);
+				const variantSet = `${themeName}/${variant}`;
+				const sharedSets = paths.slice(chainLength).map(filePath => `${themeName}/${path.basename(filePath, '.json')}`);
+
+				sets[variantSet] = { theme: parser.merge(themes.slice(0, chainLength)), isDark: isDarkVariant(variant) };
+				themes.slice(chainLength).forEach((theme, index) => {
+					sets[sharedSets[index]] = { theme };
+				});
+				studioThemes.push({ name: `${themeName} ${variant}`, sets: [variantSet, ...sharedSets] });
+			}
+
+			const document = toTokensStudio(sets, studioThemes);
+			writeOutput(path.join(values.out, `${themeName}.tokens-studio.json`), `${JSON.stringify(document, null, 2)}\n`);
+		}
+	},
+
+	'import-tokens': {
+		usage: 'import-tokens <tokens-file> --format w3c|style-dictionary|tokens-studio [--out themes] [--name <theme>] [--variant light] [--template themes/coral] [--force] [--json] [--max 20]',
+		description: 'Convert design tokens back into a theme directory',
+		options: {
+			format: { type: 'string', default: 'w3c' },
+			out: { type: 'string', default: 'themes' },
+			name: { type: 'string' },
+			variant: { type: 'string', default: 'light' },
+			template: { type: 'string' },
+			force: { type: 'boolean', default: false },
+			json: { type: 'boolean', default: false },
+			max: { type: 'string', default: '20' }
+		},
+		async run(positionals, values) {
+			const [tokensFile] = positionals;
+			if (!tokensFile) {
+				throw new Error('Missing <tokens-file>');
+			}
+			if (!TOKEN_FORMATS.includes(values.format)) {
+				throw new Error(`Unknown --format ${values.format} (expected one of: ${TOKEN_FORMATS.join(', ')})`);
+			}
+
+			const data = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+			const fileName = path.basename(tokensFile).replace(/\..*$/, '');
+			const styles = values.format === 'tokens-studio'
+				? fromTokensStudio(data)
+				: [{ name: fileName, style: (values.format === 'w3c' ? fromW3CTokens : fromStyleDictionary)(data) }];
+
+			const result = createImporter(values.template).convertStyles(styles, {
+				name: values.name || fileName.replace(/-(light|dark)$/, ''),
+				variant: values.variant
+			});
+
+			writeImportedTheme(result, values);
+		}
+	},
+
+	validate: {
+		usage: 'validate <theme-dir> [--json] [--max 20]',
+		description: 'Validate every variant of a theme, including references and cycles; exits with 1 on errors',
+		options: {
+			json: { type: 'boolean', default: false },
+			max: { type: 'string', default: '20' }
+		},
+		async run(positionals, values) {
+			const [themeDir] = positionals;
+			if (!themeDir) {
+				throw new Error('Missing <theme-dir>');
+			}
+
+			const { loader, themeName, variants, sourcePath } = createDirectoryLoader(themeDir);
+			const max = Number(values.max);
+			const report = {};
+			let errorCount = 0;
+
+			for (const variant of variants) {
+				const { themes, paths } = await loader.loadThemeFiles(themeName, variant);
+				const result = loader.parser.validateSet(themes, paths.map(sourcePath));
+				report[variant] = result.issues;
+				errorCount += result.errors.length;
+
+				if (values.json) continue;
+
+				console.log(`\n${result.valid ? '✓' : '✗'} ${themeName} ${variant}: ${result.errors.length} errors, ${result.warnings.length} warnings`);
+				result.issues.slice(0, max).forEach(issue => {
+					console.log(`  [${issue.severity}] ${issue.file || '-'}: ${issue.message}`);
+				});
+				if (result.issues.length > max) {
+					console.log(`  ... ${result.issues.length - max} more (use --max or --json)`);
+				}
+			}
+
+			if (values.json) {
+				console.log(JSON.stringify(report, null, 2));
+			}
+
+			if (errorCount > 0) {
+				process.exitCode = 1;
+			}
+		}
+	}
+};
+
+/**
+ * Print usage for every command
+ */
+function printHelp() {
+	console.log('Usage: node cli.js <command> [options]\n');
+	console.log('Commands:');
+	Object.values(commands).forEach(command => {
+		console.log(`  ${command.usage}`);
+		console.log(`      ${command.description}`);
+	});
+}
+
+async function main(argv) {
+	const [name, ...rest] = argv;
+	const command = commands[name];
+
+	if (!command) {
+		printHelp();
+		if (name && name !== 'help') {
+			console.error(`\nUnknown command: ${name}`);
+			process.exitCode = 1;
+		}
+		return;
+	}
+
+	const { positionals, values } = parseArgs({
+		args: rest,
+		options: command.options,
+		allowPositionals: true
+	});
+
+	await command.run(positionals, values);
+}
+
+main(process.argv.slice(2)).catch(error => {
+	console.error(`✗ ${error.message}`);
+	process.exitCode = 1;
+});
@@ -0,0 +1,185 @@
+/**
+ * Color utilities for theme base colors
+ *
+ * Base colors are "r,g,b" strings with channels from 0 to 255. These
+ * helpers convert them to and from OKLab/OKLCH (Björn Ottosson's
+ * perceptual color space) so scales can be interpolated with stable hue
+ * and even lightness steps, and compute WCAG contrast between them.
+ */
+
+/**
+ * Parse an "r,g,b" string into channel numbers
+ * @param {String} value - RGB string like "61,74,80"
+ * @returns {Number[]} [r, g, b]
+ */
+export function parseRgb(value) {
+	return value.split(',').map(channel => Number(channel.trim()));
+}
+
+/**
+ * Format channel numbers as an "r,g,b" string
+ * @param {Number[]} rgb - [r, g, b], rounded and clamped to 0-255
+ * @returns {String} RGB string like "61,74,80"
+ */
+export function formatRgb(rgb) {
+	return rgb.map(channel => Math.min(255, Math.max(0, Math.round(channel)))).join(',');
+}
+
+/**
+ * Convert an sRGB channel (0-255) to linear light (0-1)
+ * @param {Number} channel - sRGB channel
+ * @returns {Number} Linear channel
+ */
+function toLinear(channel) {
+	const c = channel / 255;
+	return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear channel (0-1) to sRGB (0-255, unclamped)
+ * @param {Number} channel - Linear channel
+ * @returns {Number} sRGB channel
+ */
+function fromLinear(channel) {
+	const c = channel <= 0.0031308 ? 12.92 * channel : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+	return c * 255;
+}
+
+/**
+ * Convert sRGB to OKLab
+ * @param {Number[]} rgb - [r, g, b] with channels from 0 to 255
+ * @returns {Number[]} [L, a, b]
+ */
+export function rgbToOklab([r, g, b]) {
+	const lr = toLinear(r);
+	const lg = toLinear(g);
+	const lb = toLinear(b);
+
+	const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+	const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+	const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+	return [
+		0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+		1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+		0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+	];
+}
+
+/**
+ * Convert OKLab to sRGB
+ * @param {Number[]} lab - [L, a, b]
+ * @returns {Number[]} [r, g, b], unclamped (values outside 0-255 are out of gamut)
+ */
+export function oklabToRgb([L, a, b]) {
+	const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+	const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+	const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+	return [
+		fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+		fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+		fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.7076373010 * s)
+	];
+}
+
+/**
+ * Convert sRGB to OKLCH
+ * @param {Number[]} rgb - [r, g, b] with channels from 0 to 255
+ * @returns {Number[]} [L, C, h] with hue in radians
+ */
+export function rgbToOklch(rgb) {
+	const [L, a, b] = rgbToOklab(rgb);
+	return [L, Math.sqrt(a * a + b * b), Math.atan2(b, a)];
+}
+
+/**
+ * Convert OKLCH to sRGB, reducing chroma until the color fits the sRGB gamut
+ * Hue and lightness are kept, so the result stays on the same hue line.
+ *
+ * @param {Number[]} lch - [L, C, h] with hue in radians
+ * @returns {Number[]} [r, g, b] with channels from 0 to 255
+ */
+export function oklchToRgb([L, C, h]) {
+	const toRgb = (chroma) => oklabToRgb([L, chroma * Math.cos(h), chroma * Math.sin(h)]);
+	const inGamut = (rgb) => rgb.every(channel => channel >= -0.5 && channel <= 255.5);
+
+	let rgb = toRgb(C);
+	if (!inGamut(rgb)) {
+		let low = 0;
+		let high = C;
+
+		for (let i = 0; i < 20; i++) {
+			const mid = (low + high) / 2;
+			if (inGamut(toRgb(mid))) {
+				low = mid;
+			} else {
+				high = mid;
+			}
+		}
+
+		rgb = toRgb(low);
+	}
+
+	return rgb.map(channel => Math.min(255, Math.max(0, channel)));
+}
+
+/**
+ * Mix a color toward white or black in OKLCH
+ * Lightness moves linearly toward 1 (white) or 0 (black) and chroma fades
+ * by the same amount, while hue stays fixed.
+ *
+ * @param {Number[]} rgb - [r, g, b] with channels from 0 to 255
+ * @param {Number} step - Mix amount from -1 (black) through 0 (base) to 1 (white)
+ * @returns {Number[]} [r, g, b] with channels from 0 to 255
+ */
+export function mixOklch(rgb, step) {
+	if (step === 0) return rgb;
+
+	const [L, C, h] = rgbToOklch(rgb);
+	const targetL = step > 0 ? L + (1 - L) * step : L * (1 + step);
+
+	return oklchToRgb([targetL, C * (1 - Math.abs(step)), h]);
+}
+
+/**
+ * Perceptual distance between two colors (Euclidean distance in OKLab)
+ * Roughly, values below 0.02 are hard to tell apart.
+ *
+ * @param {Number[]} rgb1 - [r, g, b]
+ * @param {Number[]} rgb2 - [r, g, b]
+ * @returns {Number} Distance
+ */
+export function deltaEOk(rgb1, rgb2) {
+	const [L1, a1, b1] = rgbToOklab(rgb1);
+	const [L2, a2, b2] = rgbToOklab(rgb2);
+
+	return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+/**
+ * WCAG 2.x relative luminance of an sRGB color
+ * @param {Number[]} rgb - [r, g, b] with channels from 0 to 255
+ * @returns {Number} Luminance from 0 (black) to 1 (white)
+ */
+export function relativeLuminance([r, g, b]) {
+	const channel = (value) => {
+		const c = value / 255;
+		return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+	};
+
+	return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colors
+ * @param {Number[]} rgb1 - [r, g, b]
+ * @param {Number[]} rgb2 - [r, g, b]
+ * @returns {Number} Ratio from 1 to 21
+ */
+export function contrastRatio(rgb1, rgb2) {
+	const l1 = relativeLuminance(rgb1);
+	const l2 = relativeLuminance(rgb2);
+
+	return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
@@ -0,0 +1,61 @@
+/**
+ * Type declarations for compiler.js
+ */
+
+import type { ThemeParser, ThemeData, TokenName, ScaleAlgorithm } from './parser.js';
+
+export const DEFAULT_CRITICAL_TOKENS: string[];
+
+export interface ThemeCompilerOptions {
+	/** Selector the rules are scoped to (default: ':root') */
+	selector?: string;
+	/** Strip whitespace from the output (default: false) */
+	minify?: boolean;
+	/** Emit literal values instead of var() chains (default: false) */
+	flatten?: boolean;
+	/** Color space for generated scales (default: 'srgb') */
+	scaleAlgorithm?: ScaleAlgorithm;
+}
+
+export interface BootstrapVariant {
+	/** Theme objects in merge order */
+	themes: ThemeData[];
+	isDark?: boolean;
+}
+
+export interface BootstrapOptions {
+	/** Variant used when nothing is stored, or 'auto' (default: 'light' or the first variant) */
+	defaultVariant?: string;
+	/** localStorage key of the stored choice (default: 'servicenow-theme') */
+	storageKey?: string;
+	/** Prefixes of the token names to embed (default: DEFAULT_CRITICAL_TOKENS) */
+	critical?: string[];
+}
+
+export class ThemeCompiler {
+	constructor(options?: ThemeCompilerOptions);
+
+	parser: ThemeParser;
+	selector: string;
+	minify: boolean;
+	flatten: boolean;
+
+	/** CSS text */
+	compile(themes: ThemeData[]): string;
+	mergeThemes(themes: ThemeData[]): ThemeData;
+	/** CSS text with the dark variant inside a prefers-color-scheme media query */
+	compileColorScheme(lightThemes: ThemeData[], darkThemes: ThemeData[]): string;
+	/** JavaScript source to inline in a <script> at the top of <head> */
+	compileBootstrap(themeName: string, variants: Record<string, BootstrapVariant>, options?: BootstrapOptions): string;
+	/** Sorted, unique token names, including generated scale steps */
+	collectTokenNames(variantThemes: ThemeData[][]): TokenName[];
+	/** JavaScript module source with THEME_TOKENS, isThemeToken() and token() */
+	compileTokenModule(names: TokenName[]): string;
+	/** .d.ts source for compileTokenModule() output */
+	compileTokenTypes(names: TokenName[]): string;
+	format(cssText: string): string;
+}
+
+export function minifyCss(cssText: string): string;
+
+export default ThemeCompiler;
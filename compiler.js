@@ -0,0 +1,311 @@
+/**
+ * ThemeCompiler - Compile merged themes into static CSS
+ *
+ * Runs the same ThemeParser pipeline the loader uses at runtime, but
+ * returns CSS text so themes can be shipped as precompiled stylesheets
+ * instead of JSON plus the loader.
+ */
+
+import { ThemeParser } from './parser.js';
+import { DARK_SCHEME_QUERY, BOOTSTRAP_ATTRIBUTE, BOOTSTRAP_TOKENS_ATTRIBUTE } from './scope.js';
+import { DEFAULT_STORAGE_KEY } from './storage.js';
+
+/**
+ * Token name prefixes compileBootstrap() embeds by default: what the page
+ * itself paints with before any component has been defined
+ */
+export const DEFAULT_CRITICAL_TOKENS = [
+	'--now-color_background--',
+	'--now-color_text--',
+	'--now-color_border--',
+	'--now-font-family',
+	'--now-font-size--'
+];
+
+export class ThemeCompiler {
+	/**
+	 * Create a new compiler
+	 * @param {Object} options - Configuration options
+	 * @param {String} options.selector - Selector the rules are scoped to (default: ':root')
+	 * @param {Boolean} options.minify - Strip whitespace from the output (default: false)
+	 * @param {Boolean} options.flatten - Emit literal values instead of var() chains (default: false)
+	 * @param {String} options.scaleAlgorithm - Color space for generated scales: 'srgb' or 'oklch' (default: 'srgb')
+	 */
+	constructor(options = {}) {
+		this.parser = new ThemeParser({ scaleAlgorithm: options.scaleAlgorithm });
+		this.selector = options.selector || ':root';
+		this.minify = options.minify === true;
+		this.flatten = options.flatten === true;
+	}
+
+	/**
+	 * Merge theme files and compile them into CSS
+	 * @param {Object[]} themes - Theme objects in merge order
+	 * @returns {String} CSS text
+	 */
+	compile(themes) {
+		return this.format(this.parser.parse(this.mergeThemes(themes), this.selector));
+	}
+
+	/**
+	 * Merge theme files, flattening aliases when configured
+	 * @param {Object[]} themes - Theme objects in merge order
+	 * @returns {Object} Merged theme object
+	 */
+	mergeThemes(themes) {
+		const merged = this.parser.merge(themes);
+		return this.flatten ? this.parser.flatten(merged) : merged;
+	}
+
+	/**
+	 * Combine a light and a dark variant into one stylesheet that follows
+	 * the user's prefers-color-scheme setting
+	 * The light variant is the unconditional default; the dark block inside
+	 * the media query only lists tokens whose value differs from light.
+	 *
+	 * @param {Object[]} lightThemes - Light variant theme objects in merge order
+	 * @param {Object[]} darkThemes - Dark variant theme objects in merge order
+	 * @returns {String} CSS text
+	 */
+	compileColorScheme(lightThemes, darkThemes) {
+		const light = this.mergeThemes(lightThemes);
+		const dark = this.mergeThemes(darkThemes);
+		const overrides = { base: {}, properties: {} };
+
+		['base', 'properties'].forEach(section => {
+			Object.entries(dark[section]).forEach(([key, value]) => {
+				if (light[section][key] !== value) {
+					overrides[section][key] = value;
+				}
+			});
+		});
+
+		const lightCss = this.parser.parse(light, this.selector);
+		const darkCss = this.parser.parse(overrides, this.selector)
+			.split('\n')
+			.map(line => `  ${line}`)
+			.join('\n');
+
+		return this.format(`${lightCss}\n\n@media (prefers-color-scheme: dark) {\n${darkCss}\n}`);
+	}
+
+	/**
+	 * Compile a synchronous bootstrap script that applies the last-used
+	 * variant of a theme before first paint
+	 * Inline it in a <script> at the top of <head>. It reads the choice the
+	 * theme switcher stored ('theme:variant', including 'auto'), writes that
+	 * variant's critical tokens as inline properties on <html> and marks
+	 * <html> with data-theme-bootstrap, listing the names it wrote in
+	 * data-theme-bootstrap-tokens. The loader then takes those values over
+	 * instead of writing them again.
+	 *
+	 * Only critical tokens (and the tokens they alias) are embedded, so the
+	 * script stays small: components are defined after the module graph has
+	 * loaded, by which time the loader has applied the full theme.
+	 *
+	 * @param {String} themeName - Theme name (e.g., 'coral')
+	 * @param {Object} variants - Variant name to { themes, isDark }, where themes are in merge order
+	 * @param {Object} options - Bootstrap options
+	 * @param {String} options.defaultVariant - Variant used when nothing is stored, or 'auto' (default: 'light' or the first variant)
+	 * @param {String} options.storageKey - localStorage key of the stored choice (default: 'servicenow-theme')
+	 * @param {String[]} options.critical - Prefixes of the token names to embed (default: DEFAULT_CRITICAL_TOKENS)
+	 * @returns {String} JavaScript source
+	 */
+	compileBootstrap(themeName, variants, options = {}) {
+		const names = Object.keys(variants).sort((a, b) => variants[a].isDark - variants[b].isDark);
+		if (names.length === 0) {
+			throw new Error(`No variants to bootstrap for theme '${themeName}'`);
+		}
+
+		const defaultVariant = options.defaultVariant || (names.includes('light') ? 'light' : names[0]);
+		const critical = options.critical || DEFAULT_CRITICAL_TOKENS;
+		const tokens = {};
+
+		names.forEach(name => {
+			const properties = this.parser.toPropertyMap(this.mergeThemes(variants[name].themes));
+			tokens[name] = Object.fromEntries(pickCriticalTokens(properties, critical));
+		});
+
+		const darkVariant = names.find(name => variants[name].isDark);
+		const lightVariant = names.find(name => !variants[name].isDark);
+		const auto = darkVariant && lightVariant ? { light: lightVariant, dark: darkVariant } : null;
+
+		return `(function () {
+	var theme = ${scriptLiteral(themeName)};
+	var choice = ${scriptLiteral(`${themeName}:${defaultVariant}`)};
+	var auto = ${scriptLiteral(auto)};
+	var variants = ${scriptLiteral(tokens)};
+	try {
+		choice = localStorage.getItem(${scriptLiteral(options.storageKey || DEFAULT_STORAGE_KEY)}) || choice;
+	} catch (error) {}
+	var parts = choice.split(':');
+	var variant = parts[1];
+	if (parts[0] !== theme) return;
+	if (variant === 'auto' && auto) {
+		variant = window.matchMedia && window.matchMedia(${scriptLiteral(DARK_SCHEME_QUERY)}).matches ? auto.dark : auto.light;
+	}
+	if (!Object.prototype.hasOwnProperty.call(variants, variant)) return;
+	var root = document.documentElement;
+	var tokens = variants[variant];
+	var names = [];
+	for (var name in tokens) {
+		root.style.setProperty(name, tokens[name]);
+		names.push(name);
+	}
+	root.setAttribute(${scriptLiteral(BOOTSTRAP_TOKENS_ATTRIBUTE)}, names.join(' '));
+	root.setAttribute(${scriptLiteral(BOOTSTRAP_ATTRIBUTE)}, theme + ':' + variant);
+})();
+`;
+	}
+
+	/**
+	 * Collect the token names a set of variants defines, including generated scale steps
+	 * @param {Object[][]} variantThemes - Theme objects in merge order, one array per variant
+	 * @returns {String[]} Sorted, unique token names
+	 */
+	collectTokenNames(variantThemes) {
+		const names = new Set();
+
+		variantThemes.forEach(themes => {
+			const merged = this.parser.merge(themes);
+			['base', 'properties'].forEach(section => {
+				Object.keys(merged[section] || {}).forEach(name => {
+					if (name.startsWith('--')) names.add(name);
+				});
+			});
+		});
+
+		return [...names].sort();
+	}
+
+	/**
+	 * Compile a module with the known token names and a token() helper
+	 * token('--now-color--primary') returns 'var(--now-color--primary)' and
+	 * throws for names no theme defines, so typos fail loudly even in plain JS.
+	 *
+	 * @param {String[]} names - Token names (see collectTokenNames)
+	 * @returns {String} JavaScript module source
+	 */
+	compileTokenModule(names) {
+		return `// Generated by \`node cli.js types\`. Do not edit.
+
+export const THEME_TOKENS = Object.freeze([
+${names.map(name => `\t${JSON.stringify(name)}`).join(',\n')}
+]);
+
+const TOKEN_SET = new Set(THEME_TOKENS);
+
+/**
+ * Check whether a theme defines a token
+ * @param {String} name - Token name
+ * @returns {Boolean}
+ */
+export function isThemeToken(name) {
+	return TOKEN_SET.has(name);
+}
+
+/**
+ * Reference a theme token in CSS
+ * @param {String} name - Token name (e.g., '--now-color--primary')
+ * @param {String} fallback - Fallback value (optional)
+ * @returns {String} var() expression
+ * @throws {Error} If no theme defines the token
+ */
+export function token(name, fallback) {
+	if (!TOKEN_SET.has(name)) {
+		throw new Error(\`Unknown theme token: \${name}\`);
+	}
+
+	return fallback === undefined ? \`var(\${name})\` : \`var(\${name}, \${fallback})\`;
+}
+`;
+	}
+
+	/**
+	 * Compile TypeScript declarations for compileTokenModule() output
+	 * @param {String[]} names - Token names (see collectTokenNames)
+	 * @returns {String} .d.ts source with the ThemeToken union
+	 */
+	compileTokenTypes(names) {
+		const union = names.length > 0 ? names.map(name => `\n\t| ${JSON.stringify(name)}`).join('') : ' never';
+
+		return `// Generated by \`node cli.js types\`. Do not edit.
+
+/**
+ * Every token name the themes define
+ */
+export type ThemeToken =${union};
+
+export const THEME_TOKENS: readonly ThemeToken[];
+
+export function isThemeToken(name: string): name is ThemeToken;
+
+export function token<T extends ThemeToken>(name: T): \`var(\${T})\`;
+export function token<T extends ThemeToken>(name: T, fallback: string): \`var(\${T}, \${string})\`;
+`;
+	}
+
+	/**
+	 * Apply output formatting options
+	 * @param {String} cssText - CSS text from ThemeParser.parse()
+	 * @returns {String} Formatted CSS text
+	 */
+	format(cssText) {
+		return this.minify ? minifyCss(cssText) : `${cssText}\n`;
+	}
+}
+
+/**
+ * Minify CSS produced by ThemeParser.parse()
+ * Only formatting whitespace is removed; values such as font stacks keep
+ * their inner spaces.
+ *
+ * @param {String} cssText - CSS text
+ * @returns {String} Minified CSS text
+ */
+export function minifyCss(cssText) {
+	return cssText
+		.split('\n')
+		.map(line => line.trim())
+		.filter(line => line.length > 0)
+		.map(line => line
+			.replace(/^(--[^:\s]+):\s+/, '$1:')
+			.replace(/\s*\{$/, '{'))
+		.join('')
+		.replace(/;}/g, '}');
+}
+
+/**
+ * Pick the tokens whose names start with a critical prefix, plus every
+ * token they reference through var() so the embedded aliases resolve
+ * @param {Map<String, String>} properties - Property map from ThemeParser.toPropertyMap()
+ * @param {String[]} prefixes - Critical token name prefixes
+ * @returns {Map<String, String>} Picked properties
+ */
+function pickCriticalTokens(properties, prefixes) {
+	const picked = new Map();
+	const visit = (name) => {
+		if (picked.has(name) || !properties.has(name)) return;
+
+		const value = properties.get(name);
+		picked.set(name, value);
+		(value.match(/var\((--[^,)\s]+)/g) || []).forEach(reference => visit(reference.slice(4)));
+	};
+
+	properties.forEach((value, name) => {
+		if (prefixes.some(prefix => name.startsWith(prefix))) visit(name);
+	});
+
+	return picked;
+}
+
+/**
+ * Serialize a value as a JavaScript literal that is safe inside an inline <script>
+ * @param {*} value - JSON-compatible value
+ * @returns {String} Literal with '<' escaped so values can't close the script tag
+ */
+function scriptLiteral(value) {
+	return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+export default ThemeCompiler;
@@ -0,0 +1,70 @@
+/**
+ * Type declarations for diff.js
+ */
+
+import type { ThemeParser, ThemeData, TokenName, TokenValue, ScaleConfig } from './parser.js';
+
+export interface ThemeDifferOptions {
+	/** Parser used to merge and resolve themes (default: a new ThemeParser) */
+	parser?: ThemeParser;
+}
+
+export interface TokenDescription {
+	raw: TokenValue | undefined;
+	/** null when the alias chain is circular or ends at an undefined token */
+	resolved: TokenValue | null;
+	/** Base color a generated scale step comes from, null for other tokens */
+	scale: TokenName | null;
+}
+
+export interface TokenDiffEntry extends TokenDescription {
+	token: TokenName;
+}
+
+export interface TokenChange {
+	token: TokenName;
+	/** 'raw' when the token's own value changed, 'resolved' when only the value it resolves to did */
+	kind: 'raw' | 'resolved';
+	before: TokenValue | undefined;
+	after: TokenValue | undefined;
+	resolvedBefore: TokenValue | null;
+	resolvedAfter: TokenValue | null;
+	scale: TokenName | null;
+	/** First changed token in the alias chain (the base color for scale steps) */
+	cause: TokenName | null;
+}
+
+export interface ScaleChange {
+	color: TokenName;
+	/** null when the color had no scale */
+	before: ScaleConfig | null;
+	after: ScaleConfig | null;
+}
+
+export interface ChangeCause {
+	token: TokenName;
+	/** Number of resolved values this token changed */
+	dependents: number;
+}
+
+export interface ThemeDiff {
+	added: TokenDiffEntry[];
+	removed: TokenDiffEntry[];
+	changed: TokenChange[];
+	scales: ScaleChange[];
+	/** Sorted by dependents, most first */
+	causes: ChangeCause[];
+}
+
+export class ThemeDiffer {
+	constructor(options?: ThemeDifferOptions);
+
+	parser: ThemeParser;
+
+	diffThemes(beforeThemes: ThemeData[], afterThemes: ThemeData[]): ThemeDiff;
+	diff(before: ThemeData, after: ThemeData): ThemeDiff;
+	describe(themeData: ThemeData): Map<TokenName, TokenDescription>;
+	diffScales(before: ThemeData, after: ThemeData): ScaleChange[];
+}
+
+export default ThemeDiffer;
@@ -0,0 +1,181 @@
+/**
+ * ThemeDiffer - Compare two merged themes token by token
+ *
+ * Compares raw values (what the files say) and resolved values (what
+ * components end up with after following aliases), so a one-line edit to a
+ * base color shows up together with every scale step and alias it moved.
+ */
+
+import { ThemeParser } from './parser.js';
+
+export class ThemeDiffer {
+	/**
+	 * Create a new differ
+	 * @param {Object} options - Configuration options
+	 * @param {ThemeParser} options.parser - Parser used to merge and resolve themes
+	 */
+	constructor(options = {}) {
+		this.parser = options.parser || new ThemeParser();
+	}
+
+	/**
+	 * Merge two sets of theme files and diff the results
+	 * @param {Object[]} beforeThemes - Theme objects in merge order
+	 * @param {Object[]} afterThemes - Theme objects in merge order
+	 * @returns {Object} Diff result (see diff)
+	 */
+	diffThemes(beforeThemes, afterThemes) {
+		return this.diff(this.parser.merge(beforeThemes), this.parser.merge(afterThemes));
+	}
+
+	/**
+	 * Diff two merged themes
+	 * A changed token is 'raw' when its own value changed and 'resolved' when
+	 * only the value it resolves to did. Each resolved-only change names its
+	 * cause: the first token in its alias chain whose raw value changed.
+	 * Generated scale steps carry the base color they were generated from
+	 * (scale), and that base color is their cause.
+	 *
+	 * @param {Object} before - Merged theme object
+	 * @param {Object} after - Merged theme object
+	 * @returns {Object} { added, removed, changed, scales, causes } where
+	 *   added/removed are { token, raw, resolved, scale },
+	 *   changed are { token, kind, before, after, resolvedBefore, resolvedAfter, scale, cause },
+	 *   scales are { color, before, after } scale configs that changed, and
+	 *   causes are { token, dependents } sorted by the number of resolved values each one changed
+	 */
+	diff(before, after) {
+		const beforeTokens = this.describe(before);
+		const afterTokens = this.describe(after);
+		const added = [];
+		const removed = [];
+		const changed = [];
+
+		afterTokens.forEach((token, name) => {
+			if (!beforeTokens.has(name)) {
+				added.push({ token: name, raw: token.raw, resolved: token.resolved, scale: token.scale });
+			}
+		});
+
+		beforeTokens.forEach((token, name) => {
+			if (!afterTokens.has(name)) {
+				removed.push({ token: name, raw: token.raw, resolved: token.resolved, scale: token.scale });
+				return;
+			}
+
+			const next = afterTokens.get(name);
+			const rawChanged = !sameValue(token.raw, next.raw);
+			const resolvedChanged = !sameValue(token.resolved, next.resolved);
+			if (!rawChanged && !resolvedChanged) return;
+
+			changed.push({
+				token: name,
+				kind: rawChanged ? 'raw' : 'resolved',
+				before: token.raw,
+				after: next.raw,
+				resolvedBefore: token.resolved,
+				resolvedAfter: next.resolved,
+				scale: next.scale,
+				cause: null
+			});
+		});
+
+		const rawChanges = new Set(changed.filter(entry => entry.kind === 'raw').map(entry => entry.token));
+		const isChanged = (name) => rawChanges.has(name) || !beforeTokens.has(name);
+		// Generated steps change because their base color (or its scale config) did
+		const rootOf = (name) => (afterTokens.get(name) && afterTokens.get(name).scale) || name;
+		const counts = new Map();
+
+		changed.forEach(entry => {
+			if (entry.kind === 'raw') {
+				entry.cause = entry.scale;
+			} else {
+				const source = this.parser.traceToken(entry.token, after).chain.slice(1).find(isChanged);
+				entry.cause = source ? rootOf(source) : null;
+			}
+
+			if (entry.cause) {
+				counts.set(entry.cause, (counts.get(entry.cause) || 0) + 1);
+			}
+		});
+
+		const causes = [...counts.entries()]
+			.map(([token, dependents]) => ({ token, dependents }))
+			.sort((a, b) => b.dependents - a.dependents || a.token.localeCompare(b.token));
+
+		return {
+			added,
+			removed,
+			changed,
+			scales: this.diffScales(before, after),
+			causes
+		};
+	}
+
+	/**
+	 * Describe every token of a merged theme
+	 * @param {Object} themeData - Merged theme object
+	 * @returns {Map<String, Object>} Token name to { raw, resolved, scale } where scale is
+	 *   the base color a generated step comes from (null for other tokens)
+	 */
+	describe(themeData) {
+		const resolved = new Map(this.parser.resolveAll(themeData));
+		const targets = this.parser.getScaleTargets(themeData);
+		const tokens = new Map();
+
+		['base', 'properties'].forEach(section => {
+			Object.keys(themeData[section] || {}).forEach(name => {
+				if (name === 'isDark' || tokens.has(name)) return;
+
+				const step = section === 'base' && name.match(/^(.+)-\d+$/);
+				const config = step && targets.get(step[1]);
+
+				tokens.set(name, {
+					raw: this.parser.getRawValue(name, themeData),
+					resolved: resolved.has(name) ? resolved.get(name) : null,
+					scale: config ? (config.from || step[1]) : null
+				});
+			});
+		});
+
+		return tokens;
+	}
+
+	/**
+	 * Compare the scale configuration of two merged themes
+	 * @param {Object} before - Merged theme object
+	 * @param {Object} after - Merged theme object
+	 * @returns {Object[]} { color, before, after } per color whose scale config changed (null when absent)
+	 */
+	diffScales(before, after) {
+		const beforeTargets = this.parser.getScaleTargets(before);
+		const afterTargets = this.parser.getScaleTargets(after);
+		const colors = new Set([...beforeTargets.keys(), ...afterTargets.keys()]);
+		const changes = [];
+
+		colors.forEach(color => {
+			const previous = beforeTargets.get(color) || null;
+			const next = afterTargets.get(color) || null;
+			const algorithm = (themeData, config) => (config && config.algorithm) || themeData.scaleAlgorithm || this.parser.scaleAlgorithm;
+
+			if (JSON.stringify(previous) !== JSON.stringify(next) || algorithm(before, previous) !== algorithm(after, next)) {
+				changes.push({ color, before: previous, after: next });
+			}
+		});
+
+		return changes;
+	}
+}
+
+/**
+ * Compare two token values, ignoring whitespace around strings
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {Boolean}
+ */
+function sameValue(a, b) {
+	const normalize = (value) => (typeof value === 'string' ? value.trim() : value);
+	return normalize(a) === normalize(b);
+}
+
+export default ThemeDiffer;
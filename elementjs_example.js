@@ -16,30 +16,26 @@ import { withThemes } from './theme-switcher.js';
 //Import component
 import '../src/custom-component';
 
-// Import Coral theme files (change to 'polaris' if you prefer)
+// Import the default theme's files (change to 'polaris' if you prefer)
 import coralLightColors from './themes/coral/variants/light/colors.json';
-import coralDarkColors from './themes/coral/variants/dark/colors.json';
 import coralShapeForm from './themes/coral/shape-and-form.json';
 import coralTypography from './themes/coral/typography.json';
 
-// Optional: Import additional themes (uncomment if needed)
-// import polarisLightColors from './themes/polaris/variants/light/colors.json';
-// import polarisDarkColors from './themes/polaris/variants/dark/colors.json';
-// import polarisShapeForm from './themes/polaris/shape-and-form.json';
-// import polarisTypography from './themes/polaris/typography.json';
-
 // Configure preloaded themes
+// Files that aren't needed for the first paint are lazy: the bundler splits
+// them into their own chunks, imported only when that variant is selected
+// (or prefetched when the theme switcher is hovered)
 const preloadedThemes = {
   'themes/coral/variants/light/colors.json': coralLightColors,
-  'themes/coral/variants/dark/colors.json': coralDarkColors,
+  'themes/coral/variants/dark/colors.json': () => import('./themes/coral/variants/dark/colors.json'),
   'themes/coral/shape-and-form.json': coralShapeForm,
   'themes/coral/typography.json': coralTypography,
   
-  // Optional: Add Polaris themes (uncomment if imported above)
-  // 'themes/polaris/variants/light/colors.json': polarisLightColors,
-  // 'themes/polaris/variants/dark/colors.json': polarisDarkColors,
-  // 'themes/polaris/shape-and-form.json': polarisShapeForm,
-  // 'themes/polaris/typography.json': polarisTypography,
+  // Optional: Add Polaris themes (uncomment if needed)
+  // 'themes/polaris/variants/light/colors.json': () => import('./themes/polaris/variants/light/colors.json'),
+  // 'themes/polaris/variants/dark/colors.json': () => import('./themes/polaris/variants/dark/colors.json'),
+  // 'themes/polaris/shape-and-form.json': () => import('./themes/polaris/shape-and-form.json'),
+  // 'themes/polaris/typography.json': () => import('./themes/polaris/typography.json'),
 };
 
 // Optional: Configure theme loader options
@@ -47,6 +43,7 @@ const themeOptions = {
   defaultTheme: 'coral',      // Default theme name
   defaultVariant: 'light',    // Default variant (light/dark)
   showSwitcher: true,         // Show theme switcher dropdown in top-right
+  prefetch: true,             // Load lazy themes when the switcher is hovered or focused
   enableCache: true,          // Cache loaded themes
   debug: true,                // Expose themeLoader globally for debugging (window.themeLoader)
   // globalName: 'myThemeLoader' // Custom global variable name (optional)
@@ -0,0 +1,69 @@
+/**
+ * Type declarations for fetcher.js
+ */
+
+import type { ValidationIssue } from './parser.js';
+
+export const DEFAULT_FETCH_OPTIONS: { timeout: number; retries: number; retryDelay: number };
+
+export type ThemeLoadErrorReason = 'http' | 'timeout' | 'network' | 'parse' | 'invalid';
+
+export interface ThemeLoadErrorDetails {
+	path?: string;
+	url?: string;
+	reason?: ThemeLoadErrorReason;
+	status?: number;
+	attempts?: number;
+	issues?: ValidationIssue[];
+	cause?: unknown;
+}
+
+export class ThemeLoadError extends Error {
+	constructor(message: string, details?: ThemeLoadErrorDetails);
+	name: 'ThemeLoadError';
+	/** Theme file path (relative to basePath) */
+	path: string | null;
+	url: string | null;
+	reason: ThemeLoadErrorReason;
+	/** HTTP status for 'http' failures */
+	status: number | null;
+	attempts: number;
+	/** Validation issues for 'invalid' failures */
+	issues?: ValidationIssue[];
+}
+
+export interface FetchJSONOptions {
+	/** File path reported in errors (default: url) */
+	path?: string;
+	/** Milliseconds per attempt, 0 for none (default: 10000) */
+	timeout?: number;
+	/** Extra attempts after the first (default: 2) */
+	retries?: number;
+	/** Milliseconds before the first retry, doubled for each further retry (default: 250) */
+	retryDelay?: number;
+	/** Resolve with no data instead of failing on HTTP 404 */
+	optional?: boolean;
+	/** Cached ETag, sent as If-None-Match */
+	etag?: string | null;
+	/** Cached Last-Modified date, sent as If-Modified-Since */
+	lastModified?: string | null;
+	signal?: AbortSignal;
+}
+
+export interface FetchResult {
+	status: number;
+	/** null for a 304 response or a missing optional file */
+	data: unknown;
+	text: string | null;
+	etag: string | null;
+	lastModified: string | null;
+}
+
+export function createAbortError(message?: string): Error;
+export function isAbortError(error: unknown): boolean;
+export function throwIfAborted(signal?: AbortSignal | null): void;
+export function waitFor<T>(promise: Promise<T>, signal?: AbortSignal | null): Promise<T>;
+/** @throws {ThemeLoadError} If every attempt failed */
+export function fetchJSON(url: string, options?: FetchJSONOptions): Promise<unknown>;
+/** @throws {ThemeLoadError} If every attempt failed */
+export function fetchResource(url: string, options?: FetchJSONOptions): Promise<FetchResult>;
@@ -0,0 +1,292 @@
+/**
+ * Theme file fetching with timeouts, retries and abort support
+ *
+ * Every failed file load surfaces as a ThemeLoadError that names the file
+ * and why it failed. Aborted loads reject with the signal's reason (an
+ * AbortError DOMException unless the caller passed its own), like fetch().
+ */
+
+/**
+ * Defaults for fetchJSON() and the loader's timeout/retries/retryDelay options
+ */
+export const DEFAULT_FETCH_OPTIONS = {
+	timeout: 10000,
+	retries: 2,
+	retryDelay: 250
+};
+
+/**
+ * HTTP statuses worth another attempt
+ */
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * A theme file (or theme manifest) that could not be loaded
+ *
+ * reason is one of:
+ * - 'http': the server answered with an error status (see status)
+ * - 'timeout': no complete response within the timeout
+ * - 'network': the request failed before a response arrived
+ * - 'parse': the response isn't valid JSON
+ * - 'invalid': the JSON isn't a valid theme or manifest (see issues)
+ */
+export class ThemeLoadError extends Error {
+	/**
+	 * @param {String} message - Error message
+	 * @param {Object} details - What failed
+	 * @param {String} details.path - Theme file path (relative to basePath)
+	 * @param {String} details.url - URL that was fetched
+	 * @param {String} details.reason - 'http', 'timeout', 'network', 'parse' or 'invalid'
+	 * @param {Number} details.status - HTTP status (for 'http')
+	 * @param {Number} details.attempts - Number of attempts made
+	 * @param {Object[]} details.issues - Validation issues (for 'invalid')
+	 * @param {Error} details.cause - Underlying error
+	 */
+	constructor(message, details = {}) {
+		super(message, details.cause ? { cause: details.cause } : undefined);
+		this.name = 'ThemeLoadError';
+		this.path = details.path || null;
+		this.url = details.url || null;
+		this.reason = details.reason || 'network';
+		this.status = details.status || null;
+		this.attempts = details.attempts || 1;
+
+		if (details.issues) {
+			this.issues = details.issues;
+		}
+	}
+}
+
+/**
+ * Create the error aborted loads reject with
+ * @param {String} message - Error message
+ * @returns {Error} DOMException named 'AbortError' (a plain Error with that name where DOMException is missing)
+ */
+export function createAbortError(message = 'The theme load was aborted') {
+	if (typeof DOMException === 'function') {
+		return new DOMException(message, 'AbortError');
+	}
+
+	const error = new Error(message);
+	error.name = 'AbortError';
+	return error;
+}
+
+/**
+ * Check whether an error comes from an aborted load
+ * @param {*} error - Caught value
+ * @returns {Boolean}
+ */
+export function isAbortError(error) {
+	return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Throw the signal's abort reason if it has been aborted
+ * @param {AbortSignal} signal - Signal to check (optional)
+ * @throws {Error} The abort reason
+ */
+export function throwIfAborted(signal) {
+	if (signal && signal.aborted) {
+		throw signal.reason || createAbortError();
+	}
+}
+
+/**
+ * Wait for a promise, giving up early when a signal aborts
+ * The promise itself keeps running, so shared work (like the manifest
+ * request) isn't canceled for every caller.
+ *
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Signal that stops the wait (optional)
+ * @returns {Promise} Settles like promise, or rejects with the abort reason
+ */
+export function waitFor(promise, signal) {
+	if (!signal) return promise;
+
+	return new Promise((resolve, reject) => {
+		throwIfAborted(signal);
+
+		const onAbort = () => reject(signal.reason || createAbortError());
+		signal.addEventListener('abort', onAbort, { once: true });
+
+		promise
+			.then(resolve, reject)
+			.then(() => signal.removeEventListener('abort', onAbort));
+	});
+}
+
+/**
+ * Wait before the next attempt
+ * @param {Number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal that cuts the wait short (optional)
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+	return waitFor(new Promise(resolve => setTimeout(resolve, ms)), signal);
+}
+
+/**
+ * Fetch a URL once, giving up after timeout milliseconds
+ * @param {String} url - URL to fetch
+ * @param {Number} timeout - Milliseconds for the whole response, body included (0 for none)
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @param {Object} headers - Request headers (optional)
+ * @returns {Promise<Object>} { response, text } where text is null unless the status is 2xx
+ */
+async function attemptFetch(url, timeout, signal, headers) {
+	const controller = new AbortController();
+	const onAbort = () => controller.abort();
+	let timedOut = false;
+	const timer = timeout > 0
+		? setTimeout(() => {
+			timedOut = true;
+			controller.abort();
+		}, timeout)
+		: null;
+
+	if (signal) {
+		signal.addEventListener('abort', onAbort, { once: true });
+	}
+
+	try {
+		const response = await fetch(url, headers ? { signal: controller.signal, headers } : { signal: controller.signal });
+		if (!response.ok) {
+			return { response, text: null };
+		}
+
+		return { response, text: await response.text() };
+	} catch (error) {
+		throwIfAborted(signal);
+		if (timedOut) {
+			throw Object.assign(createAbortError(`No response within ${timeout}ms`), { timedOut: true });
+		}
+		throw error;
+	} finally {
+		clearTimeout(timer);
+		if (signal) {
+			signal.removeEventListener('abort', onAbort);
+		}
+	}
+}
+
+/**
+ * Fetch a JSON file, retrying transient failures with exponential backoff
+ * @param {String} url - URL to fetch
+ * @param {Object} options - Fetch options (see fetchResource)
+ * @returns {Promise<Object|null>} Parsed JSON (null for a missing optional file)
+ * @throws {ThemeLoadError} If every attempt failed
+ */
+export async function fetchJSON(url, options = {}) {
+	const { data } = await fetchResource(url, options);
+	return data;
+}
+
+/**
+ * Fetch a JSON file along with its validators (ETag, Last-Modified)
+ * Network errors, timeouts and 408/425/429/5xx responses are retried;
+ * other HTTP errors and invalid JSON fail right away. With etag or
+ * lastModified the request is conditional, and a 304 response resolves
+ * with status 304 and no data.
+ *
+ * @param {String} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {String} options.path - File path reported in errors (default: url)
+ * @param {Number} options.timeout - Milliseconds per attempt, 0 for none (default: 10000)
+ * @param {Number} options.retries - Extra attempts after the first (default: 2)
+ * @param {Number} options.retryDelay - Milliseconds before the first retry, doubled for each further retry (default: 250)
+ * @param {Boolean} options.optional - Resolve with no data instead of failing on HTTP 404
+ * @param {String} options.etag - Cached ETag, sent as If-None-Match
+ * @param {String} options.lastModified - Cached Last-Modified date, sent as If-Modified-Since
+ * @param {AbortSignal} options.signal - Aborts the fetch and any pending retry
+ * @returns {Promise<Object>} { status, data, text, etag, lastModified } where data is null
+ *   for a 304 response or a missing optional file
+ * @throws {ThemeLoadError} If every attempt failed
+ */
+export async function fetchResource(url, options = {}) {
+	const { timeout, retries, retryDelay } = { ...DEFAULT_FETCH_OPTIONS, ...definedOnly(options) };
+	const path = options.path || url;
+	const headers = conditionalHeaders(options);
+
+	for (let attempt = 1; ; attempt++) {
+		throwIfAborted(options.signal);
+
+		let failure;
+		try {
+			const { response, text } = await attemptFetch(url, timeout, options.signal, headers);
+			const header = (name) => (response.headers && response.headers.get(name)) || null;
+
+			if (response.ok) {
+				return {
+					status: response.status,
+					data: JSON.parse(text),
+					text,
+					etag: header('ETag'),
+					lastModified: header('Last-Modified')
+				};
+			}
+			if (response.status === 304 && headers) {
+				return { status: 304, data: null, text: null, etag: header('ETag') || options.etag || null, lastModified: options.lastModified || null };
+			}
+			if (options.optional && response.status === 404) {
+				return { status: 404, data: null, text: null, etag: null, lastModified: null };
+			}
+
+			failure = {
+				reason: 'http',
+				status: response.status,
+				detail: `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`,
+				retryable: RETRYABLE_STATUSES.includes(response.status)
+			};
+		} catch (error) {
+			if (isAbortError(error) && !error.timedOut) throw error;
+
+			if (error.timedOut) {
+				failure = { reason: 'timeout', detail: error.message, retryable: true };
+			} else if (error instanceof SyntaxError) {
+				failure = { reason: 'parse', detail: `invalid JSON (${error.message})`, retryable: false, cause: error };
+			} else {
+				failure = { reason: 'network', detail: error.message, retryable: true, cause: error };
+			}
+		}
+
+		if (!failure.retryable || attempt > retries) {
+			const attempts = attempt > 1 ? ` after ${attempt} attempts` : '';
+			throw new ThemeLoadError(`Failed to load ${path}: ${failure.detail}${attempts}`, {
+				...failure,
+				path,
+				url,
+				attempts: attempt
+			});
+		}
+
+		await delay(retryDelay * 2 ** (attempt - 1), options.signal);
+	}
+}
+
+/**
+ * Build the headers of a conditional request
+ * @param {Object} options - { etag, lastModified }
+ * @returns {Object|null} Headers, or null for an unconditional request
+ */
+function conditionalHeaders(options) {
+	const headers = {};
+
+	if (options.etag) {
+		headers['If-None-Match'] = options.etag;
+	}
+	if (options.lastModified) {
+		headers['If-Modified-Since'] = options.lastModified;
+	}
+
+	return Object.keys(headers).length > 0 ? headers : null;
+}
+
+/**
+ * Drop undefined values so they don't override defaults
+ * @param {Object} options - Options object
+ * @returns {Object} Copy without undefined values
+ */
+function definedOnly(options) {
+	return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,83 @@
+/**
+ * Type declarations for importer.js
+ */
+
+import type { ThemeData, TokenName, TokenValue, ScaleConfig } from './parser.js';
+
+export type ThemeFileName = 'colors' | 'shape-and-form' | 'typography';
+
+export const THEME_FILES: ['colors', 'shape-and-form', 'typography'];
+
+/** e.g. 'Coral Theme' to 'coral-theme' */
+export function toThemeName(name: string): string;
+export function classifyToken(name: string): ThemeFileName | null;
+
+/**
+ * A UX style record's JSON
+ */
+export interface ImportedStyle {
+	isDark?: 'true' | 'false' | boolean;
+	base?: Record<string, TokenValue>;
+	properties?: Record<string, TokenValue>;
+}
+
+export interface NamedStyle {
+	name: string;
+	style: ImportedStyle;
+}
+
+export interface ImportOptions {
+	/** Theme name (default: the export's theme record, else the first style's name) */
+	name?: string;
+	/** Variant for styles without a dark marker (default: 'light') */
+	variant?: string;
+}
+
+export interface UnmappedToken {
+	token: string;
+	style: string;
+	reason: string;
+}
+
+export interface VariantSpecificToken {
+	token: TokenName;
+	/** Shared file the token would have gone to, e.g. 'typography.json' */
+	file: string;
+	/** Value per variant that defines the token */
+	values: Record<string, TokenValue>;
+}
+
+export interface ImportResult {
+	themeName: string;
+	/** Keyed by path relative to the theme directory, e.g. 'variants/dark/colors.json' */
+	files: Record<string, ThemeData>;
+	unmapped: UnmappedToken[];
+	variantSpecific: VariantSpecificToken[];
+}
+
+export interface ThemeImporterOptions {
+	/** Token name to theme file from a template theme (see buildTokenFileMap) */
+	tokenFiles?: Map<TokenName, ThemeFileName>;
+	/** Scale configuration written to every imported variant (default: none) */
+	scales?: Record<string, ScaleConfig | null> | null;
+}
+
+export class ThemeImporter {
+	constructor(options?: ThemeImporterOptions);
+
+	tokenFiles: Map<TokenName, ThemeFileName>;
+	scales: Record<string, ScaleConfig | null> | null;
+
+	/** @param preloadedThemes - The template's theme objects keyed by path */
+	static fromTemplate(preloadedThemes: Record<string, ThemeData>): ThemeImporter;
+	static buildTokenFileMap(preloadedThemes: Record<string, ThemeData>): Map<TokenName, ThemeFileName>;
+
+	readRecords(text: string): { themeName: string | null; styles: NamedStyle[] };
+	readJsonRecords(text: string): Record<string, unknown>[];
+	readXmlRecords(text: string): Record<string, string>[];
+	/** @throws If the export contains no style records, or isn't valid JSON */
+	convert(text: string, options?: ImportOptions): ImportResult;
+	convertStyles(styles: NamedStyle[], options?: ImportOptions): ImportResult;
+}
+
+export default ThemeImporter;
@@ -0,0 +1,388 @@
+/**
+ * ThemeImporter - Convert themes exported from a ServiceNow instance
+ *
+ * Reads UX style records (sys_ux_style) and their theme (sys_ux_theme)
+ * from an XML export, an update set or a JSON export, and splits their
+ * tokens into this project's layout:
+ *
+ *   variants/<variant>/colors.json
+ *   shape-and-form.json
+ *   typography.json
+ *
+ * Tokens are assigned to a file by looking them up in a template theme
+ * first and by their property name otherwise. Tokens that fit neither are
+ * reported instead of written. Dark styles only hold overrides on the
+ * platform, so dark variants extend the imported light variant, and the
+ * template's scale configuration is copied so generated scale steps such
+ * as --now-color_alert--critical-4 exist.
+ */
+
+/**
+ * Files a theme is split into
+ */
+export const THEME_FILES = ['colors', 'shape-and-form', 'typography'];
+
+/**
+ * Property-name rules used for tokens the template doesn't know, in order
+ * Each rule is tested against the token's '--'-separated segments from
+ * right to left, so '--now-color-selector--border-radius' is decided by
+ * 'border-radius' and state suffixes like '--hover' are skipped.
+ */
+const CLASSIFICATION_RULES = [
+	{ file: 'typography', pattern: /font|text-transform|text-decoration|text-wrap|letter-spacing|line-height/ },
+	{ file: 'shape-and-form', pattern: /alpha/ },
+	{ file: 'colors', pattern: /color|background/ },
+	{ file: 'shape-and-form', pattern: /radius|width|height|spacing|padding|margin|gap|size|opacity|shadow|offset|inset/ }
+];
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode XML character data (entities and CDATA sections)
+ * @param {String} text - Raw element content
+ * @returns {String} Decoded text
+ */
+function decodeXml(text) {
+	return text
+		.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+		.map(part => {
+			if (part.startsWith('<![CDATA[')) {
+				return part.slice(9, -3);
+			}
+			return part.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+				if (code[0] === '#') {
+					return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+				}
+				return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+			});
+		})
+		.join('');
+}
+
+/**
+ * Parse a string as a style JSON object, if it is one
+ * @param {*} value - Field value
+ * @returns {Object|null} Object with base and/or properties, or null
+ */
+function parseStyleJson(value) {
+	let data = value;
+
+	if (typeof value === 'string') {
+		const trimmed = value.trim();
+		if (!trimmed.startsWith('{')) return null;
+
+		try {
+			data = JSON.parse(trimmed);
+		} catch (error) {
+			return null;
+		}
+	}
+
+	if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+	return data.base || data.properties ? data : null;
+}
+
+/**
+ * Read the value of a ServiceNow field, which may be a plain value or
+ * a { value, display_value } pair (Table API with sysparm_display_value=all)
+ * @param {*} field - Field value
+ * @returns {*} Plain value
+ */
+function fieldValue(field) {
+	if (field && typeof field === 'object' && 'value' in field) {
+		return field.value;
+	}
+	return field;
+}
+
+/**
+ * Turn a record name into a theme or directory name
+ * @param {String} name - e.g. 'Coral Theme'
+ * @returns {String} e.g. 'coral-theme'
+ */
+export function toThemeName(name) {
+	return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Guess which theme file a token belongs to from its name
+ * @param {String} name - Token name
+ * @returns {String|null} 'colors', 'shape-and-form', 'typography' or null
+ */
+export function classifyToken(name) {
+	const segments = name.replace(/^--/, '').split('--');
+
+	for (let i = segments.length - 1; i >= 0; i--) {
+		const rule = CLASSIFICATION_RULES.find(candidate => candidate.pattern.test(segments[i]));
+		if (rule) return rule.file;
+	}
+
+	return null;
+}
+
+export class ThemeImporter {
+	/**
+	 * Create a new importer
+	 * @param {Object} options - Configuration options
+	 * @param {Map<String, String>} options.tokenFiles - Token name to theme file from a template theme (see buildTokenFileMap)
+	 * @param {Object} options.scales - Scale configuration written to every imported variant (default: none)
+	 */
+	constructor(options = {}) {
+		this.tokenFiles = options.tokenFiles || new Map();
+		this.scales = options.scales || null;
+	}
+
+	/**
+	 * Create an importer that follows an existing theme's layout and scales
+	 * @param {Object} preloadedThemes - The template's theme objects keyed by path
+	 * @returns {ThemeImporter}
+	 */
+	static fromTemplate(preloadedThemes) {
+		let scales = null;
+
+		Object.values(preloadedThemes).forEach(theme => {
+			if (theme && theme.scales) {
+				scales = Object.assign(scales || {}, theme.scales);
+			}
+		});
+
+		return new ThemeImporter({ tokenFiles: ThemeImporter.buildTokenFileMap(preloadedThemes), scales });
+	}
+
+	/**
+	 * Build a token-to-file map from an existing theme
+	 * @param {Object} preloadedThemes - Theme objects keyed by path (e.g. 'themes/coral/typography.json')
+	 * @returns {Map<String, String>} Token name to 'colors', 'shape-and-form' or 'typography'
+	 */
+	static buildTokenFileMap(preloadedThemes) {
+		const tokenFiles = new Map();
+
+		Object.entries(preloadedThemes).forEach(([path, theme]) => {
+			const fileName = path.split('/').pop().replace(/\.json$/, '');
+			if (!THEME_FILES.includes(fileName) || !theme) return;
+
+			['base', 'properties'].forEach(section => {
+				Object.keys(theme[section] || {}).forEach(name => {
+					if (!tokenFiles.has(name)) tokenFiles.set(name, fileName);
+				});
+			});
+		});
+
+		return tokenFiles;
+	}
+
+	/**
+	 * Read theme and style records from an export
+	 * Supported inputs:
+	 * - XML: record exports (<unload>) and update sets, whose records sit
+	 *   escaped inside <payload> elements
+	 * - JSON: JSONv2 ({ records }) and Table API ({ result }) exports,
+	 *   single records, or a bare style object ({ base, properties })
+	 * Any record field holding style JSON counts as a style, so custom
+	 * tables with the same shape work too.
+	 *
+	 * @param {String} text - File contents
+	 * @returns {Object} { themeName, styles } where styles are { name, style } with style = { base, properties, isDark? }
+	 */
+	readRecords(text) {
+		const trimmed = text.trim();
+		const records = trimmed.startsWith('<') ? this.readXmlRecords(trimmed) : this.readJsonRecords(trimmed);
+		const styles = [];
+		let themeName = null;
+
+		records.forEach(record => {
+			const table = fieldValue(record.sys_class_name) || record.__table || '';
+			const name = fieldValue(record.name) || fieldValue(record.sys_name) || '';
+
+			if (table === 'sys_ux_theme') {
+				themeName = themeName || name;
+				return;
+			}
+
+			Object.values(record).forEach(field => {
+				const style = parseStyleJson(fieldValue(field));
+				if (style) styles.push({ name, style });
+			});
+		});
+
+		return { themeName, styles };
+	}
+
+	/**
+	 * Read records from JSON exports
+	 * @param {String} text - JSON text
+	 * @returns {Object[]} Records
+	 */
+	readJsonRecords(text) {
+		const data = JSON.parse(text);
+
+		if (parseStyleJson(data)) {
+			return [{ name: '', css: data }];
+		}
+
+		const list = data.records || data.result || data;
+		return Array.isArray(list) ? list : [list];
+	}
+
+	/**
+	 * Read records from XML exports and update sets
+	 * @param {String} text - XML text
+	 * @returns {Object[]} Records with their child elements as fields (and __table)
+	 */
+	readXmlRecords(text) {
+		const records = [];
+
+		// Update sets wrap each record as escaped XML in <payload>
+		const payloadPattern = /<payload(?:\s[^>]*)?>([\s\S]*?)<\/payload>/g;
+		let payload;
+		while ((payload = payloadPattern.exec(text)) !== null) {
+			records.push(...this.readXmlRecords(decodeXml(payload[1])));
+		}
+
+		const rest = text.replace(payloadPattern, '');
+		const recordPattern = /<(sys_ux_[a-z_]+)(\s[^>]*)?>([\s\S]*?)<\/\1>/g;
+		let match;
+		while ((match = recordPattern.exec(rest)) !== null) {
+			const record = { __table: match[1] };
+			const fieldPattern = /<([A-Za-z_][\w.-]*)(\s[^>]*)?(?:\/>|>([\s\S]*?)<\/\1>)/g;
+			let field;
+
+			while ((field = fieldPattern.exec(match[3])) !== null) {
+				record[field[1]] = decodeXml(field[3] || '');
+			}
+
+			records.push(record);
+		}
+
+		return records;
+	}
+
+	/**
+	 * Convert an export into theme files
+	 * @param {String} text - Export file contents
+	 * @param {Object} options - Import options (see convertStyles)
+	 * @returns {Object} { themeName, files, unmapped, variantSpecific } (see convertStyles)
+	 * @throws {Error} If the export contains no style records
+	 */
+	convert(text, options = {}) {
+		const { themeName, styles } = this.readRecords(text);
+
+		if (styles.length === 0) {
+			throw new Error('No UX style records (JSON with "base" or "properties") found in export');
+		}
+
+		return this.convertStyles(styles, { ...options, name: options.name || themeName });
+	}
+
+	/**
+	 * Convert styles into theme files
+	 * Each style's variant is 'dark' when its JSON has "isDark": "true" or its
+	 * name mentions dark, and 'light' otherwise. Color tokens go to that
+	 * variant's colors.json. Shape and typography tokens go to the shared
+	 * files when every imported variant defines them with the same value.
+	 * Tokens that some variants leave out or set differently are written to
+	 * the colors.json of each variant that defines them instead and listed
+	 * in variantSpecific.
+	 * The shared files are always part of the result, even when no token
+	 * lands in them, since the loader fetches them for every variant.
+	 *
+	 * @param {Object[]} styles - [{ name, style }] with style = { base, properties, isDark? }
+	 * @param {Object} options - Import options
+	 * @param {String} options.name - Theme name (default: the first style's name)
+	 * @param {String} options.variant - Variant for styles without a dark marker (default: 'light')
+	 * @returns {Object} { themeName, files, unmapped, variantSpecific } where files are keyed by
+	 *   path relative to the theme directory (e.g. 'variants/dark/colors.json')
+	 */
+	convertStyles(styles, options = {}) {
+		const name = toThemeName(options.name || (styles[0] && styles[0].name) || 'imported');
+		const files = {};
+		const unmapped = [];
+		const variantSpecific = [];
+		const shared = new Map();
+		const variants = new Set();
+
+		const fileFor = (path, flags = {}) => {
+			if (!files[path]) files[path] = { ...flags, base: {}, properties: {} };
+			return files[path];
+		};
+		const colorsPath = (variant) => `variants/${variant}/colors.json`;
+
+		styles.forEach(({ name: styleName, style }) => {
+			const isDark = String(style.isDark) === 'true' || /dark/i.test(styleName);
+			const variant = isDark ? 'dark' : (options.variant || 'light');
+			const colors = fileFor(colorsPath(variant), isDark ? { isDark: 'true' } : {});
+			variants.add(variant);
+
+			['base', 'properties'].forEach(section => {
+				Object.entries(style[section] || {}).forEach(([token, value]) => {
+					if (token === 'isDark') return;
+
+					if (!token.startsWith('--') || (typeof value !== 'string' && typeof value !== 'number')) {
+						unmapped.push({ token, style: styleName, reason: 'not a CSS custom property with a string value' });
+						return;
+					}
+
+					// Base colors always belong to the colors file
+					const file = section === 'base' ? 'colors' : (this.tokenFiles.get(token) || classifyToken(token));
+					if (!file) {
+						unmapped.push({ token, style: styleName, reason: 'unknown token type' });
+						return;
+					}
+
+					if (file === 'colors') {
+						colors[section][token] = value;
+						return;
+					}
+
+					if (!shared.has(token)) {
+						shared.set(token, { file: `${file}.json`, section, values: {} });
+					}
+					shared.get(token).values[variant] = value;
+				});
+			});
+		});
+
+		shared.forEach(({ file, section, values }, token) => {
+			const distinct = new Set(Object.values(values));
+
+			// A token missing from one variant would leak into it from the shared file
+			if (distinct.size === 1 && Object.keys(values).length === variants.size) {
+				fileFor(file)[section][token] = Object.values(values)[0];
+				return;
+			}
+
+			Object.entries(values).forEach(([variant, value]) => {
+				fileFor(colorsPath(variant))[section][token] = value;
+			});
+			variantSpecific.push({ token, file, values });
+		});
+
+		THEME_FILES
+			.filter(file => file !== 'colors')
+			.forEach(file => fileFor(`${file}.json`));
+
+		const lightVariant = options.variant || 'light';
+		const hasLight = Boolean(files[colorsPath(lightVariant)]);
+
+		// Same key order as hand-written files, without empty sections
+		// (an empty shared file keeps its properties so it still validates)
+		Object.entries(files).forEach(([path, file]) => {
+			const isColors = path.startsWith('variants/');
+			const ordered = {};
+
+			if (file.isDark) ordered.isDark = file.isDark;
+			if (isColors && file.isDark && hasLight) ordered.extends = lightVariant;
+			if (isColors && this.scales) ordered.scales = this.scales;
+			if (file.base && Object.keys(file.base).length > 0) ordered.base = file.base;
+			if (file.properties && Object.keys(file.properties).length > 0) ordered.properties = file.properties;
+			if (!ordered.base && !ordered.properties) ordered.properties = {};
+
+			files[path] = ordered;
+		});
+
+		return { themeName: name, files, unmapped, variantSpecific };
+	}
+}
+
+export default ThemeImporter;
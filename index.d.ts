@@ -0,0 +1,291 @@
+/**
+ * Type declarations for index.js
+ */
+
+import type { ThemeParser, ThemeData, TokenName, TokenValue, ValidationResult, ScaleAlgorithm } from './parser.js';
+import type { ThemeScope, ThemeTarget } from './scope.js';
+import type { ThemeManifest, ManifestTheme, ManifestFile } from './manifest.js';
+import type { FetchJSONOptions, FetchResult } from './fetcher.js';
+import type { CacheBackend, CacheEntry } from './cache.js';
+import type { TransitionOptions, TransitionSettings } from './transition.js';
+
+export const AUTO_VARIANT: 'auto';
+export const THEME_EVENTS: ['beforethemechange', 'themechange', 'themeerror', 'themeremoved'];
+
+export type InjectionMode = 'inline' | 'style' | 'adopted';
+
+/**
+ * Imports a theme file on first use, e.g. () => import('./colors.json')
+ */
+export type LazyTheme = () => Promise<ThemeData | { default: ThemeData }> | ThemeData | { default: ThemeData };
+
+/**
+ * Theme objects or lazy loaders keyed by path
+ */
+export type PreloadedThemes = Record<string, ThemeData | LazyTheme>;
+
+export function isLazyTheme(value: unknown): value is LazyTheme;
+
+export interface ThemeLoaderOptions {
+	/** Base path for theme files (default: '') */
+	basePath?: string;
+	/** Enable theme caching (default: true) */
+	enableCache?: boolean;
+	/** ID for the injected style element (default: 'servicenow-theme') */
+	styleElementId?: string;
+	/** How tokens are written (default: 'inline') */
+	injectionMode?: InjectionMode;
+	/** Default element, shadow root or selector to theme (default: document root) */
+	target?: ThemeTarget;
+	/** Apply fully resolved literal values instead of var() chains (default: false) */
+	flatten?: boolean;
+	/** Reject loads with validation errors instead of warning (default: false) */
+	strict?: boolean;
+	/** Color space for generated scales (default: 'srgb') */
+	scaleAlgorithm?: ScaleAlgorithm;
+	/** Preloaded theme objects or lazy loaders keyed by path (for dev server compatibility) */
+	preloadedThemes?: PreloadedThemes;
+	/** Manifest object, path to fetch it from, or true for 'themes/manifest.json' (default: preloaded manifest if present) */
+	manifest?: ThemeManifest | string | boolean;
+	/** Milliseconds to wait for each fetched theme file, 0 for no limit (default: 10000) */
+	timeout?: number;
+	/** Extra attempts for network errors, timeouts and 5xx responses (default: 2) */
+	retries?: number;
+	/** Milliseconds before the first retry, doubled for each further retry (default: 250) */
+	retryDelay?: number;
+	/** Keep fetched files across reloads: true for Cache Storage, a cache name, or a backend (default: false) */
+	persistentCache?: boolean | string | CacheBackend;
+	/** Persistent entries stored under another version are ignored (default: '') */
+	cacheVersion?: string;
+	/** Milliseconds a persistent entry is served without revalidating it (default: 0) */
+	cacheMaxAge?: number;
+	/** Animate theme switches: true for the defaults, or transition options (default: false) */
+	transition?: boolean | TransitionOptions;
+}
+
+export interface CacheEntryStats {
+	key: string;
+	bytes: number;
+	/** Milliseconds since the file was fetched or last revalidated */
+	age: number;
+	etag: string | null;
+	source: 'network' | 'persistent';
+}
+
+export interface CacheStats {
+	size: number;
+	keys: string[];
+	bytes: number;
+	hits: number;
+	memoryHits: number;
+	persistentHits: number;
+	misses: number;
+	/** hits / (hits + misses), 0 before the first lookup */
+	hitRate: number;
+	revalidated: number;
+	updated: number;
+	revalidationErrors: number;
+	/** Backend name, null when only the in-memory cache is used */
+	persistent: string | null;
+	entries: CacheEntryStats[];
+}
+
+export interface SignalOptions {
+	/** Aborts the load; it then rejects with the signal's reason */
+	signal?: AbortSignal;
+}
+
+export interface TargetOptions {
+	/** Element, shadow root or selector (default: loader target) */
+	target?: ThemeTarget;
+}
+
+export interface TransitionOverrideOptions {
+	/** Overrides the loader's transition option for this change */
+	transition?: boolean | TransitionOptions;
+}
+
+/** Load methods resolve after the theme transition (if any) has finished */
+export interface LoadOptions extends TargetOptions, SignalOptions, TransitionOverrideOptions {}
+
+export interface LoadThemeOptions extends LoadOptions {
+	/** Candidate variants for 'auto' (default: ['light', 'dark']) */
+	variants?: string[];
+}
+
+export interface ApplyThemeSetOptions extends TargetOptions, TransitionOverrideOptions {
+	/** Theme name reported in lifecycle events */
+	themeName?: string;
+	/** Variant reported in lifecycle events */
+	variant?: string;
+}
+
+export interface TokenOptions extends TargetOptions {
+	/** Follow aliases to the literal value (default: false) */
+	resolved?: boolean;
+}
+
+export interface BrandSeed {
+	/** Brand color, "r,g,b" or "#rrggbb" */
+	primary: string;
+	secondary?: string;
+	neutral?: string;
+	link?: string;
+	focus?: string;
+	alerts?: Partial<Record<'critical' | 'high' | 'warning' | 'moderate' | 'info' | 'positive' | 'low', string>>;
+	mode?: 'light' | 'dark';
+}
+
+export interface BrandThemeOptions extends LoadOptions {
+	/** Theme whose variant is used as the template (default: 'coral') */
+	template?: string;
+	/** Template variant (default: 'dark' for dark seeds, otherwise 'light') */
+	templateVariant?: string;
+	/** Theme name reported in lifecycle events (default: 'brand') */
+	name?: string;
+}
+
+/**
+ * What a theme change is about (themeName and variant are null for loadThemeSet/loadAndApply)
+ */
+export interface ThemeInfo {
+	themeName: string | null;
+	variant: string | null;
+	paths: string | string[];
+}
+
+export interface ThemeChangeDetail {
+	previous: ThemeInfo | null;
+	next: ThemeInfo;
+	tokens: ThemeData;
+	target: Element | ShadowRoot;
+}
+
+export interface ThemeErrorDetail {
+	error: Error;
+	next: ThemeInfo;
+	target: Element | ShadowRoot;
+}
+
+export interface ThemeRemovedDetail {
+	previous: ThemeInfo | null;
+	target: Element | ShadowRoot;
+}
+
+export interface ThemeEventMap {
+	beforethemechange: CustomEvent<ThemeChangeDetail>;
+	themechange: CustomEvent<ThemeChangeDetail>;
+	themeerror: CustomEvent<ThemeErrorDetail>;
+	themeremoved: CustomEvent<ThemeRemovedDetail>;
+}
+
+/**
+ * A load in flight for one target (see beginLoad/runLoad)
+ */
+export interface PendingLoad {
+	node: Element | ShadowRoot;
+	controller: AbortController;
+	signal: AbortSignal;
+	superseded: boolean;
+	release(): void;
+}
+
+export class ServiceNowThemeLoader extends EventTarget {
+	constructor(options?: ThemeLoaderOptions);
+
+	parser: ThemeParser;
+	injectionMode: InjectionMode;
+	target: ThemeTarget | null;
+	flatten: boolean;
+	strict: boolean;
+	scopes: Map<Element | ShadowRoot, ThemeScope>;
+	basePath: string;
+	enableCache: boolean;
+	styleElementId: string;
+	cache: Map<string, ThemeData>;
+	persistentCache: CacheBackend | null;
+	cacheVersion: string;
+	cacheMaxAge: number;
+	preloadedThemes: PreloadedThemes;
+	lazyThemes: Map<string, Promise<ThemeData>>;
+	manifest: ThemeManifest | null;
+	manifestPath: string | null;
+	timeout: number;
+	retries: number;
+	retryDelay: number;
+	pendingLoads: Map<Element | ShadowRoot, PendingLoad>;
+	transition: TransitionSettings | null;
+
+	addEventListener<K extends keyof ThemeEventMap>(type: K, listener: (event: ThemeEventMap[K]) => void, options?: boolean | AddEventListenerOptions): void;
+	addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+	removeEventListener<K extends keyof ThemeEventMap>(type: K, listener: (event: ThemeEventMap[K]) => void, options?: boolean | EventListenerOptions): void;
+	removeEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | EventListenerOptions): void;
+	/** Listen to every lifecycle event; returns a function that unsubscribes */
+	subscribe(listener: (event: ThemeEventMap[keyof ThemeEventMap]) => void): () => void;
+
+	loadManifest(options?: SignalOptions): Promise<ThemeManifest | null>;
+	getManifestTheme(themeName: string, options?: SignalOptions): Promise<ManifestTheme | null>;
+	getFetchOptions(options?: FetchJSONOptions): FetchJSONOptions;
+	/** @throws {ThemeLoadError} If the file can't be fetched or parsed, or fails validation in strict mode */
+	loadSingleTheme(themePath: string, options?: SignalOptions & { optional?: false }): Promise<ThemeData>;
+	/** Resolves to null for a missing optional file */
+	loadSingleTheme(themePath: string, options: SignalOptions & { optional?: boolean }): Promise<ThemeData | null>;
+	loadFileList(files: ManifestFile[], options?: SignalOptions): Promise<Array<{ path: string; data: ThemeData }>>;
+	/** Resolves to false (and logs) instead of rejecting when a file fails */
+	prefetchTheme(themeName: string, variant: string, options?: SignalOptions & { variants?: string[] }): Promise<boolean>;
+	/** @throws {ThemeLoadError} If the import fails, or the file fails validation in strict mode */
+	loadLazyTheme(themePath: string): Promise<ThemeData>;
+	fetchCached(path: string, options?: SignalOptions & { optional?: boolean; validate?: (data: any) => void }): Promise<any>;
+	revalidateCached(path: string, entry: CacheEntry, validate?: (data: any) => void): Promise<'unchanged' | 'updated' | 'removed' | 'failed'>;
+	readPersistentCache(fullPath: string): Promise<CacheEntry | null>;
+	storeCached(fullPath: string, result: FetchResult | CacheEntry): void;
+	rememberCached(fullPath: string, entry: CacheEntry, source: 'network' | 'persistent'): void;
+	deleteCached(fullPath: string): void;
+	/** @throws {ThemeLoadError} In strict mode, if the result has errors (reason 'invalid', error.issues holds the details) */
+	checkValidation(validation: ValidationResult, label: string): void;
+	buildPropertyMap(themeData: ThemeData): Map<TokenName, string>;
+	getScope(target?: ThemeTarget | null, create?: true): ThemeScope;
+	getScope(target: ThemeTarget | null | undefined, create: boolean): ThemeScope | null;
+	applyTheme(themeData: ThemeData, options?: TargetOptions): void;
+
+	/** Resolve to null when a beforethemechange listener cancels the change or a newer load supersedes it */
+	loadAndApply(themePath: string, options?: LoadOptions): Promise<ThemeData | null>;
+	loadThemeSet(themePaths: string[], options?: LoadOptions): Promise<ThemeData | null>;
+	applyThemeSet(themes: ThemeData[], themePaths: string[], options?: ApplyThemeSetOptions): ThemeData | null;
+	commitTheme(themeData: ThemeData, next: ThemeInfo, options?: TargetOptions & TransitionOverrideOptions): boolean;
+	transitionTheme(scope: ThemeScope, appliedThemeData: ThemeData, transition: TransitionSettings, options?: TargetOptions): void;
+	waitForTransition(options?: TargetOptions): Promise<void>;
+	reportThemeError(error: Error, next: ThemeInfo, options?: TargetOptions): void;
+	beginLoad(options?: LoadOptions): PendingLoad;
+	abortPendingLoad(node: Element | ShadowRoot): void;
+	runLoad<T>(next: ThemeInfo, options: LoadOptions, task: (signal: AbortSignal) => Promise<T>): Promise<T | null>;
+
+	loadVariantChain(themeName: string, variant: string, options?: SignalOptions): Promise<Array<{ path: string; data: ThemeData }>>;
+	loadTheme(themeName: string, variant: string, options?: LoadThemeOptions): Promise<ThemeData | null>;
+	loadAutoTheme(themeName: string, options?: LoadThemeOptions): Promise<ThemeData | null>;
+	resolveAutoVariant(themeName: string, variants?: string[], options?: SignalOptions): Promise<string>;
+	prefersDarkColorScheme(): boolean;
+	loadThemeFiles(themeName: string, variant: string, options?: SignalOptions): Promise<{ themes: ThemeData[]; paths: string[]; chainLength: number }>;
+	loadBrandTheme(seed: BrandSeed, options?: BrandThemeOptions): Promise<ThemeData | null>;
+	loadLightTheme(options?: LoadThemeOptions): Promise<ThemeData | null>;
+	loadDarkTheme(options?: LoadThemeOptions): Promise<ThemeData | null>;
+	removeTheme(options?: TargetOptions): void;
+	getActiveTheme(options?: TargetOptions): string | string[] | null;
+
+	applyOverrides(themeData: ThemeData, overrides: Record<TokenName, TokenValue>): ThemeData;
+	/** A null value drops that override; returns every override now active on the target */
+	setOverrides(overrides: Record<TokenName, TokenValue | null>, options?: TargetOptions): Record<TokenName, TokenValue>;
+	clearOverrides(names?: TokenName[] | null, options?: TargetOptions): void;
+	getOverrides(options?: TargetOptions): Record<TokenName, TokenValue>;
+	reapplyOverrides(scope: ThemeScope, options?: TargetOptions): void;
+	getToken(name: TokenName, options?: TokenOptions): TokenValue | undefined;
+	getTokens(prefix?: string, options?: TokenOptions): Record<TokenName, TokenValue>;
+	getAppliedThemeData(options?: TargetOptions): ThemeData | null;
+
+	/** Clears the in-memory and persistent caches */
+	clearCache(): Promise<void>;
+	getCacheStats(): CacheStats;
+	debugTheme(): void;
+}
+
+export default ServiceNowThemeLoader;
@@ -1,4 +1,39 @@
 import { ThemeParser } from './parser.js';
+import { ThemeScope, DARK_SCHEME_QUERY } from './scope.js';
+import { generateBrandVariant } from './brand.js';
+import { MANIFEST_PATH, validateManifest, getManifestFiles } from './manifest.js';
+import { DEFAULT_FETCH_OPTIONS, ThemeLoadError, fetchResource, createAbortError, isAbortError, throwIfAborted, waitFor } from './fetcher.js';
+import { createPersistentCache } from './cache.js';
+import { normalizeTransition, runThemeTransition } from './transition.js';
+
+/**
+ * Variant name that follows the OS light/dark setting
+ */
+export const AUTO_VARIANT = 'auto';
+
+/**
+ * Lifecycle events dispatched by the loader
+ */
+export const THEME_EVENTS = ['beforethemechange', 'themechange', 'themeerror', 'themeremoved'];
+
+/**
+ * Check whether a preloadedThemes value is a lazy loader (e.g. () => import('./colors.json'))
+ * @param {*} value - preloadedThemes value
+ * @returns {Boolean}
+ */
+export function isLazyTheme(value) {
+	return typeof value === 'function';
+}
+
+/**
+ * Call a lazy loader and unwrap the JSON module it resolves to
+ * @param {Function} loader - Returns the theme object, or a module whose default export is it
+ * @returns {Promise<Object>} Theme object
+ */
+async function importLazyTheme(loader) {
+	const module = await loader();
+	return module && typeof module === 'object' && 'default' in module ? module.default : module;
+}
 
 /**
  * ServiceNowThemeLoader
@@ -17,118 +52,561 @@ import { ThemeParser } from './parser.js';
  *   'servicenow_styles/colors.json',
  *   'custom-overrides.json'
  * ]);
+ *
+ * @example
+ * // Theme a region of the page instead of :root
+ * await loader.loadTheme('coral', 'dark', { target: '#preview' });
+ *
+ * @example
+ * // Follow the OS light/dark setting
+ * await loader.loadTheme('coral', 'auto');
+ *
+ * @example
+ * // Split theme files out of the main bundle; each is imported when first needed
+ * const loader = new ServiceNowThemeLoader({
+ *   preloadedThemes: {
+ *     'themes/coral/variants/dark/colors.json': () => import('./themes/coral/variants/dark/colors.json')
+ *   }
+ * });
+ *
+ * @example
+ * // Cancel a load that is no longer wanted
+ * const controller = new AbortController();
+ * loader.loadTheme('coral', 'dark', { signal: controller.signal });
+ * controller.abort();
+ *
+ * @example
+ * // React to every theme change, whichever code path caused it
+ * loader.addEventListener('themechange', (event) => {
+ *   console.log(event.detail.previous, event.detail.next);
+ * });
+ *
+ * Events (CustomEvent, details in event.detail):
+ * - beforethemechange: { previous, next, tokens, target }, cancelable
+ * - themechange: { previous, next, tokens, target }
+ * - themeerror: { error, next, target }
+ * - themeremoved: { previous, target }
+ * previous/next are { themeName, variant, paths } (themeName and variant are
+ * null for loadThemeSet/loadAndApply) and tokens is the merged theme object.
+ *
+ * The last load started for a target wins: starting another load (or
+ * removing the theme) aborts the one still in flight, which then resolves
+ * to null. A load that fails or is aborted leaves the current theme as it was.
  */
-export class ServiceNowThemeLoader {
+export class ServiceNowThemeLoader extends EventTarget {
 	/**
 	 * Create a new theme loader
 	 * @param {Object} options - Configuration options
 	 * @param {String} options.basePath - Base path for theme files (default: '')
 	 * @param {Boolean} options.enableCache - Enable theme caching (default: true)
 	 * @param {String} options.styleElementId - ID for injected style element (default: 'servicenow-theme')
-	 * @param {Object} options.preloadedThemes - Preloaded theme objects keyed by path (for dev server compatibility)
+	 * @param {String} options.injectionMode - How tokens are written: 'inline', 'style' or 'adopted' (default: 'inline')
+	 * @param {Element|ShadowRoot|String} options.target - Default element, shadow root or selector to theme (default: document root)
+	 * @param {Boolean} options.flatten - Apply fully resolved literal values instead of var() chains (default: false)
+	 * @param {Boolean} options.strict - Reject loads with validation errors instead of warning (default: false)
+	 * @param {String} options.scaleAlgorithm - Color space for generated scales: 'srgb' or 'oklch' (default: 'srgb')
+	 * @param {Object} options.preloadedThemes - Preloaded theme objects keyed by path (for dev server compatibility);
+	 *   a value may also be a lazy loader such as () => import('./colors.json'), called when the file is first needed
+	 * @param {Object|String|Boolean} options.manifest - Theme manifest object, path to fetch it from, or true for
+	 *   'themes/manifest.json' (default: preloadedThemes['themes/manifest.json'] if present)
+	 * @param {Number} options.timeout - Milliseconds to wait for each theme file, 0 for no limit (default: 10000)
+	 * @param {Number} options.retries - Extra attempts for network errors, timeouts and 5xx responses (default: 2)
+	 * @param {Number} options.retryDelay - Milliseconds before the first retry, doubled for each further retry (default: 250)
+	 * @param {Boolean|String|Object} options.persistentCache - Keep fetched files across reloads: true for Cache Storage,
+	 *   a cache name, or a backend object (see cache.js) (default: false, memory only)
+	 * @param {String} options.cacheVersion - Persistent entries stored under another version are ignored (default: '')
+	 * @param {Number} options.cacheMaxAge - Milliseconds a persistent entry is served without revalidating it (default: 0)
+	 * @param {Boolean|Object} options.transition - Animate theme switches: true for the defaults, or
+	 *   { duration, easing, mode } (see transition.js) (default: false)
 	 */
 	constructor(options = {}) {
-		this.parser = new ThemeParser();
-		this.styleElement = null;
-		this.activeTheme = null;
+		super();
+		this.parser = new ThemeParser({ scaleAlgorithm: options.scaleAlgorithm });
+		this.injectionMode = options.injectionMode || 'inline';
+		this.target = options.target || null;
+		this.flatten = options.flatten === true;
+		this.strict = options.strict === true;
+		this.scopes = new Map();
 		this.basePath = options.basePath || '';
 		this.enableCache = options.enableCache !== false;
 		this.styleElementId = options.styleElementId || 'servicenow-theme';
 		this.cache = new Map();
+		this.cacheInfo = new Map();
+		this.cacheCounts = { memoryHits: 0, persistentHits: 0, misses: 0, revalidated: 0, updated: 0, revalidationErrors: 0 };
+		this.persistentCache = this.enableCache ? createPersistentCache(options.persistentCache) : null;
+		this.cacheVersion = options.cacheVersion || '';
+		this.cacheMaxAge = options.cacheMaxAge || 0;
+		this.revalidations = new Map();
 		this.preloadedThemes = options.preloadedThemes || {};
+		this.timeout = options.timeout !== undefined ? options.timeout : DEFAULT_FETCH_OPTIONS.timeout;
+		this.retries = options.retries !== undefined ? options.retries : DEFAULT_FETCH_OPTIONS.retries;
+		this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : DEFAULT_FETCH_OPTIONS.retryDelay;
+		this.reportedErrors = new WeakSet();
+		this.pendingLoads = new Map();
+		this.lazyThemes = new Map();
+		this.transition = normalizeTransition(options.transition);
+
+		const manifest = options.manifest !== undefined ? options.manifest : this.preloadedThemes[MANIFEST_PATH];
+		this.manifest = manifest && typeof manifest === 'object' ? manifest : null;
+		this.manifestPath = typeof manifest === 'string' ? manifest : (manifest === true ? MANIFEST_PATH : null);
+		this.manifestLoader = isLazyTheme(manifest) ? manifest : null;
+		this.manifestRequest = null;
+
+		if (this.manifest) {
+			validateManifest(this.manifest);
+		}
+	}
+
+	/**
+	 * Get the theme manifest, fetching it on first use
+	 * The request is shared, so aborting one caller's wait doesn't cancel it for the others.
+	 *
+	 * @param {Object} options - Load options
+	 * @param {AbortSignal} options.signal - Stops waiting for the manifest
+	 * @returns {Promise<Object|null>} Manifest, or null if the loader was not given one
+	 * @throws {ThemeLoadError} If the manifest can't be fetched or is invalid
+	 */
+	async loadManifest(options = {}) {
+		if (this.manifest || (!this.manifestPath && !this.manifestLoader)) {
+			return this.manifest;
+		}
+
+		if (!this.manifestRequest) {
+			const path = this.manifestPath || MANIFEST_PATH;
+			const fullPath = this.basePath + path;
+			const validate = (manifest) => {
+				try {
+					validateManifest(manifest);
+				} catch (error) {
+					throw new ThemeLoadError(error.message, { path, url: fullPath, reason: 'invalid', cause: error });
+				}
+			};
+			const request = this.manifestLoader
+				? importLazyTheme(this.manifestLoader).then(manifest => {
+					validate(manifest);
+					return manifest;
+				})
+				: this.fetchCached(path, { validate });
+
+			this.manifestRequest = request
+				.then(manifest => {
+					this.manifest = manifest;
+					return manifest;
+				})
+				.catch(error => {
+					// Let the next call retry
+					this.manifestRequest = null;
+					console.error(`Error loading theme manifest from ${fullPath}:`, error);
+					throw error;
+				});
+		}
+
+		return waitFor(this.manifestRequest, options.signal);
+	}
+
+	/**
+	 * Get a theme's manifest entry
+	 * @param {String} themeName - Theme name
+	 * @param {Object} options - Load options
+	 * @param {AbortSignal} options.signal - Stops waiting for the manifest
+	 * @returns {Promise<Object|null>} Manifest entry, or null if there is no manifest or it doesn't list the theme
+	 */
+	async getManifestTheme(themeName, options = {}) {
+		const manifest = await this.loadManifest(options);
+		return (manifest && manifest.themes[themeName]) || null;
+	}
+
+	/**
+	 * Build fetchResource() options from the loader's timeout and retry settings
+	 * @param {Object} options - Per-request options (path, optional, signal, etag, lastModified)
+	 * @returns {Object} Options for fetchResource()
+	 */
+	getFetchOptions(options = {}) {
+		return {
+			timeout: this.timeout,
+			retries: this.retries,
+			retryDelay: this.retryDelay,
+			...options
+		};
 	}
 
 	/**
 	 * Load a single theme JSON file
+	 * Fetches time out and transient failures are retried (see the timeout,
+	 * retries and retryDelay constructor options).
+	 *
 	 * @param {String} themePath - Path to theme JSON file (relative to basePath)
-	 * @returns {Promise<Object>} Theme data object
+	 * @param {Object} options - Load options
+	 * @param {Boolean} options.optional - Resolve to null instead of failing when the file doesn't exist (HTTP 404)
+	 * @param {AbortSignal} options.signal - Aborts the fetch
+	 * @returns {Promise<Object|null>} Theme data object (null for a missing optional file)
+	 * @throws {ThemeLoadError} If the file can't be fetched or parsed, or fails validation in strict mode
 	 */
-	async loadSingleTheme(themePath) {
+	async loadSingleTheme(themePath, options = {}) {
+		throwIfAborted(options.signal);
+
+		// Lazy preloaded files are imported on first use
+		if (isLazyTheme(this.preloadedThemes[themePath])) {
+			return waitFor(this.loadLazyTheme(themePath), options.signal);
+		}
+
 		// Check if theme is preloaded (for dev server compatibility)
 		if (this.preloadedThemes[themePath]) {
 			const themeData = this.preloadedThemes[themePath];
 
 			// Validate theme structure
-			const validation = this.parser.validate(themeData);
-			if (!validation.valid) {
-				console.warn(`Theme validation warnings for ${themePath}:`, validation.errors);
-			}
+			this.checkValidation(this.parser.validate(themeData, themePath), themePath);
 
 			return themeData;
 		}
 
-		const fullPath = this.basePath + themePath;
+		try {
+			return await this.fetchCached(themePath, {
+				optional: options.optional,
+				signal: options.signal,
+				// Validate theme structure
+				validate: themeData => this.checkValidation(this.parser.validate(themeData, themePath), themePath)
+			});
+		} catch (error) {
+			if (!isAbortError(error)) {
+				console.error(`Error loading theme from ${this.basePath + themePath}:`, error);
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Import a lazy preloaded theme file
+	 * The import runs once and is validated once; a failed import is tried
+	 * again on the next call. Waiting callers share the import, so aborting
+	 * a load doesn't cancel it.
+	 *
+	 * @param {String} themePath - preloadedThemes key whose value is a lazy loader
+	 * @returns {Promise<Object>} Theme data object
+	 * @throws {ThemeLoadError} If the import fails, or the file fails validation in strict mode
+	 */
+	loadLazyTheme(themePath) {
+		if (!this.lazyThemes.has(themePath)) {
+			const request = importLazyTheme(this.preloadedThemes[themePath])
+				.catch(error => {
+					throw new ThemeLoadError(`Failed to load ${themePath}: ${error.message}`, { path: themePath, reason: 'network', cause: error });
+				})
+				.then(themeData => {
+					// Validate theme structure
+					this.checkValidation(this.parser.validate(themeData, themePath), themePath);
+					return themeData;
+				})
+				.catch(error => {
+					this.lazyThemes.delete(themePath);
+					console.error(`Error loading theme from ${themePath}:`, error);
+					throw error;
+				});
+
+			this.lazyThemes.set(themePath, request);
+		}
+
+		return this.lazyThemes.get(themePath);
+	}
+
+	/**
+	 * Fetch a JSON file through the memory and persistent caches
+	 * Files are looked up in memory first, then in the persistent cache.
+	 * A persistent hit is served right away and revalidated in the background
+	 * with If-None-Match/If-Modified-Since (stale-while-revalidate) once it is
+	 * older than cacheMaxAge; a changed file is picked up by the next load.
+	 *
+	 * @param {String} path - File path (relative to basePath)
+	 * @param {Object} options - Fetch options
+	 * @param {Boolean} options.optional - Resolve to null instead of failing on HTTP 404
+	 * @param {AbortSignal} options.signal - Aborts the fetch
+	 * @param {Function} options.validate - Called with freshly fetched data; throws to reject it
+	 * @returns {Promise<Object|null>} Parsed JSON (null for a missing optional file)
+	 */
+	async fetchCached(path, options = {}) {
+		const fullPath = this.basePath + path;
 
 		// Check cache
 		if (this.enableCache && this.cache.has(fullPath)) {
+			this.cacheCounts.memoryHits++;
 			return this.cache.get(fullPath);
 		}
 
-		try {
-			const response = await fetch(fullPath);
-			if (!response.ok) {
-				throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+		const cached = await this.readPersistentCache(fullPath);
+		throwIfAborted(options.signal);
+
+		if (cached) {
+			this.cacheCounts.persistentHits++;
+			this.rememberCached(fullPath, cached, 'persistent');
+
+			if (Date.now() - cached.storedAt >= this.cacheMaxAge) {
+				this.revalidateCached(path, cached, options.validate);
 			}
 
-			const themeData = await response.json();
+			return cached.data;
+		}
 
-			// Validate theme structure
-			const validation = this.parser.validate(themeData);
-			if (!validation.valid) {
-				console.warn(`Theme validation warnings for ${themePath}:`, validation.errors);
+		if (this.enableCache) {
+			this.cacheCounts.misses++;
+		}
+
+		const result = await fetchResource(fullPath, this.getFetchOptions({
+			path,
+			optional: options.optional,
+			signal: options.signal
+		}));
+		if (result.data === null) {
+			return null;
+		}
+
+		if (options.validate) {
+			options.validate(result.data);
+		}
+
+		if (this.enableCache) {
+			this.storeCached(fullPath, result);
+		}
+
+		return result.data;
+	}
+
+	/**
+	 * Revalidate a persistent cache entry in the background
+	 * A 304 response refreshes the entry's age; new content replaces it
+	 * (in memory too); a file that is gone is dropped. Failures keep the
+	 * entry and are only logged. Concurrent calls for a file share one request.
+	 *
+	 * @param {String} path - File path (relative to basePath)
+	 * @param {Object} entry - Cached entry { data, etag, lastModified, ... }
+	 * @param {Function} validate - Called with new data; throws to reject it (optional)
+	 * @returns {Promise<String>} 'unchanged', 'updated', 'removed' or 'failed'
+	 */
+	revalidateCached(path, entry, validate) {
+		const fullPath = this.basePath + path;
+		if (this.revalidations.has(fullPath)) {
+			return this.revalidations.get(fullPath);
+		}
+
+		const revalidation = fetchResource(fullPath, this.getFetchOptions({
+			path,
+			etag: entry.etag,
+			lastModified: entry.lastModified
+		}))
+			.then(result => {
+				this.cacheCounts.revalidated++;
+
+				if (result.status === 304) {
+					this.storeCached(fullPath, { ...entry, etag: result.etag || entry.etag });
+					return 'unchanged';
+				}
+
+				if (validate) {
+					validate(result.data);
+				}
+
+				this.cacheCounts.updated++;
+				this.storeCached(fullPath, result);
+				console.log(`✓ Theme file updated in cache: ${path}`);
+				return 'updated';
+			})
+			.catch(error => {
+				if (error instanceof ThemeLoadError && error.status === 404) {
+					this.deleteCached(fullPath);
+					return 'removed';
+				}
+
+				this.cacheCounts.revalidationErrors++;
+				console.warn(`Could not revalidate cached theme file ${path}:`, error);
+				return 'failed';
+			})
+			.finally(() => this.revalidations.delete(fullPath));
+
+		this.revalidations.set(fullPath, revalidation);
+		return revalidation;
+	}
+
+	/**
+	 * Read an entry from the persistent cache
+	 * Entries stored under another cacheVersion are dropped. Backend errors
+	 * (quota, private browsing, corrupt entries) are logged and count as a miss.
+	 *
+	 * @param {String} fullPath - File URL
+	 * @returns {Promise<Object|null>} Entry, or null
+	 */
+	async readPersistentCache(fullPath) {
+		if (!this.persistentCache) return null;
+
+		try {
+			const entry = await this.persistentCache.get(fullPath);
+			if (entry && (entry.version || '') !== this.cacheVersion) {
+				await this.persistentCache.delete(fullPath);
+				return null;
 			}
+			return entry || null;
+		} catch (error) {
+			console.warn(`Could not read ${fullPath} from the persistent theme cache:`, error);
+			return null;
+		}
+	}
+
+	/**
+	 * Keep fetched data in memory and in the persistent cache
+	 * The persistent write happens in the background; failures are logged.
+	 *
+	 * @param {String} fullPath - File URL
+	 * @param {Object} result - { data, text, etag, lastModified } from fetchResource() or a cached entry
+	 */
+	storeCached(fullPath, result) {
+		const text = result.text || JSON.stringify(result.data);
+		const entry = {
+			data: result.data,
+			text,
+			bytes: text.length,
+			etag: result.etag || null,
+			lastModified: result.lastModified || null,
+			version: this.cacheVersion,
+			storedAt: Date.now()
+		};
+
+		this.rememberCached(fullPath, entry, 'network');
+
+		if (this.persistentCache) {
+			Promise.resolve()
+				.then(() => this.persistentCache.set(fullPath, entry))
+				.catch(error => console.warn(`Could not store ${fullPath} in the persistent theme cache:`, error));
+		}
+	}
+
+	/**
+	 * Put an entry into the in-memory cache
+	 * @param {String} fullPath - File URL
+	 * @param {Object} entry - Cache entry
+	 * @param {String} source - Where the entry came from: 'network' or 'persistent'
+	 */
+	rememberCached(fullPath, entry, source) {
+		this.cache.set(fullPath, entry.data);
+		this.cacheInfo.set(fullPath, {
+			bytes: entry.bytes || (entry.text ? entry.text.length : 0),
+			etag: entry.etag || null,
+			storedAt: entry.storedAt || Date.now(),
+			source
+		});
+	}
+
+	/**
+	 * Drop a file from both caches
+	 * @param {String} fullPath - File URL
+	 */
+	deleteCached(fullPath) {
+		this.cache.delete(fullPath);
+		this.cacheInfo.delete(fullPath);
+
+		if (this.persistentCache) {
+			Promise.resolve()
+				.then(() => this.persistentCache.delete(fullPath))
+				.catch(error => console.warn(`Could not remove ${fullPath} from the persistent theme cache:`, error));
+		}
+	}
 
-			if (this.enableCache) {
-				this.cache.set(fullPath, themeData);
+	/**
+	 * Report a validation result
+	 * In strict mode validation errors throw; otherwise issues are logged as warnings.
+	 *
+	 * @param {Object} validation - Result from ThemeParser.validate() or validateSet()
+	 * @param {String} label - What was validated (file path or theme set)
+	 * @throws {ThemeLoadError} In strict mode, if the result has errors (reason 'invalid', error.issues holds the details)
+	 */
+	checkValidation(validation, label) {
+		if (this.strict && !validation.valid) {
+			const messages = validation.errors.slice(0, 5).map(issue => issue.message);
+			if (validation.errors.length > messages.length) {
+				messages.push(`and ${validation.errors.length - messages.length} more`);
 			}
 
-			return themeData;
-		} catch (error) {
-			console.error(`Error loading theme from ${fullPath}:`, error);
-			throw error;
+			throw new ThemeLoadError(`Theme validation failed for ${label}: ${messages.join('; ')}`, {
+				path: label,
+				reason: 'invalid',
+				issues: validation.issues
+			});
+		}
+
+		if (validation.issues.length > 0) {
+			console.warn(`Theme validation warnings for ${label}:`, validation.issues);
 		}
 	}
 
 	/**
-	 * Apply theme directly to DOM using CSS custom properties
+	 * Build the CSS custom properties a theme sets, keyed by property name
 	 * @param {Object} themeData - Theme data with base and properties
+	 * @returns {Map<String, String>} Property name to CSS value
 	 */
-	applyTheme(themeData) {
-		const root = document.documentElement;
+	buildPropertyMap(themeData) {
+		return this.parser.toPropertyMap(themeData);
+	}
 
-		// Apply base colors
-		if (themeData.base) {
-			Object.entries(themeData.base).forEach(([key, value]) => {
-				if (key === 'isDark') return;
-				root.style.setProperty(key, value);
-			});
+	/**
+	 * Get the scope for a target, creating it on first use
+	 * @param {Element|ShadowRoot|String} target - Element, shadow root or selector (default: loader target)
+	 * @param {Boolean} create - Create the scope if the target has none yet (default: true)
+	 * @returns {ThemeScope|null} Scope tracking what was applied to the target
+	 */
+	getScope(target, create = true) {
+		const node = ThemeScope.resolveNode(target || this.target);
+
+		if (!this.scopes.has(node)) {
+			if (!create) return null;
+
+			this.scopes.set(node, new ThemeScope(node, { styleElementId: this.styleElementId }));
 		}
 
-		// Apply properties (with var() wrapping for references)
-		if (themeData.properties) {
-			Object.entries(themeData.properties).forEach(([key, value]) => {
-				// If value references another variable, wrap in var()
-				if (typeof value === 'string' && value.startsWith('--')) {
-					root.style.setProperty(key, `var(${value})`);
-				} else {
-					root.style.setProperty(key, value);
-				}
-			});
+		return this.scopes.get(node);
+	}
+
+	/**
+	 * Apply theme to the DOM using the configured injection mode
+	 * - 'inline': one style.setProperty() per token on the target
+	 * - 'style': a single <style> element built from ThemeParser.parse()
+	 * - 'adopted': a constructable CSSStyleSheet in adoptedStyleSheets
+	 *   (falls back to 'style' where constructable stylesheets are unsupported)
+	 * With the flatten option, aliases are replaced by their literal values first.
+	 *
+	 * @param {Object} themeData - Theme data with base and properties
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector to theme (default: loader target)
+	 */
+	applyTheme(themeData, options = {}) {
+		const scope = this.getScope(options.target);
+
+		if (this.flatten) {
+			themeData = this.parser.flatten(themeData);
+		}
+
+		if (this.injectionMode === 'inline') {
+			const { updated, removed } = scope.applyInline(this.buildPropertyMap(themeData));
+			console.log(`✓ Theme applied via DOM manipulation (${updated} set, ${removed} removed)`);
+			return;
 		}
 
-		console.log('✓ Theme applied via DOM manipulation');
+		const cssText = this.parser.parse(themeData, scope.selector);
+		const method = scope.applyStylesheet(cssText, this.injectionMode === 'adopted');
+		console.log(`✓ Theme applied via ${method === 'adopted' ? 'adopted stylesheet' : '<style> element'}`);
 	}
 
 	/**
 	 * Load and apply a single theme file
 	 * @param {String} themePath - Path to theme JSON file
-	 * @returns {Promise<Object>} Loaded theme data
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector to theme (default: loader target)
+	 * @param {AbortSignal} options.signal - Aborts the load
+	 * @returns {Promise<Object|null>} Loaded theme data, or null if the change was canceled or superseded
 	 */
-	async loadAndApply(themePath) {
-		const themeData = await this.loadSingleTheme(themePath);
-		this.applyTheme(themeData);
-		this.activeTheme = themePath;
-		return themeData;
+	async loadAndApply(themePath, options = {}) {
+		const next = { themeName: null, variant: null, paths: themePath };
+
+		return this.runLoad(next, options, async signal => {
+			const themeData = await this.loadSingleTheme(themePath, { signal });
+			throwIfAborted(signal);
+			return this.commitTheme(themeData, next, options) ? themeData : null;
+		});
 	}
 
 	/**
@@ -136,7 +614,11 @@ export class ServiceNowThemeLoader {
 	 * Files are merged in order - later files override earlier files
 	 *
 	 * @param {String[]} themePaths - Array of theme file paths
-	 * @returns {Promise<Object>} Merged theme data
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector to theme (default: loader target)
+	 * @param {AbortSignal} options.signal - Aborts the load
+	 * @returns {Promise<Object|null>} Merged theme data, or null if the change was canceled or superseded
+	 * @throws {ThemeLoadError} If any file fails to load (the files still loading are aborted)
 	 *
 	 * @example
 	 * await loader.loadThemeSet([
@@ -145,86 +627,840 @@ export class ServiceNowThemeLoader {
 	 *   'servicenow_styles/typopgrahy.json'
 	 * ]);
 	 */
-	async loadThemeSet(themePaths) {
-		const themes = await Promise.all(
-			themePaths.map(path => this.loadSingleTheme(path))
-		);
+	async loadThemeSet(themePaths, options = {}) {
+		const next = { themeName: null, variant: null, paths: themePaths };
+
+		return this.runLoad(next, options, async signal => {
+			const themes = await Promise.all(
+				themePaths.map(path => this.loadSingleTheme(path, { signal }))
+			);
+
+			throwIfAborted(signal);
+			return this.applyThemeSet(themes, themePaths, options);
+		});
+	}
+
+	/**
+	 * Merge already loaded theme objects and apply the result
+	 * @param {Object[]} themes - Theme objects in merge order
+	 * @param {String[]} themePaths - Paths the themes were loaded from
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector to theme (default: loader target)
+	 * @param {String} options.themeName - Theme name reported in lifecycle events (set by loadTheme)
+	 * @param {String} options.variant - Variant reported in lifecycle events (set by loadTheme)
+	 * @returns {Object|null} Merged theme data, or null if a beforethemechange listener canceled the change
+	 * @throws {Error} In strict mode, if the set has validation errors
+	 */
+	applyThemeSet(themes, themePaths, options = {}) {
+		const next = {
+			themeName: options.themeName || null,
+			variant: options.variant || null,
+			paths: themePaths
+		};
+
+		try {
+			// Cross-file reference checks only run in strict mode
+			if (this.strict) {
+				this.checkValidation(this.parser.validateSet(themes, themePaths), themePaths.join(', '));
+			}
+
+			const merged = this.parser.merge(themes);
+			return this.commitTheme(merged, next, options) ? merged : null;
+		} catch (error) {
+			this.reportThemeError(error, next, options);
+			throw error;
+		}
+	}
+
+	/**
+	 * Apply a theme and record it as the target's active theme,
+	 * dispatching beforethemechange and themechange around it
+	 *
+	 * @param {Object} themeData - Theme data to apply
+	 * @param {Object} next - { themeName, variant, paths } describing the theme
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector to theme (default: loader target)
+	 * @param {Boolean|Object} options.transition - Overrides the loader's transition option for this change
+	 * @returns {Boolean} false if a listener canceled the change
+	 */
+	commitTheme(themeData, next, options = {}) {
+		const scope = this.getScope(options.target);
+		const detail = {
+			previous: scope.activeThemeInfo,
+			next,
+			tokens: themeData,
+			target: scope.node
+		};
+
+		if (!this.dispatchEvent(new CustomEvent('beforethemechange', { detail, cancelable: true }))) {
+			console.log('Theme change canceled by a beforethemechange listener');
+			return false;
+		}
+
+		const appliedThemeData = this.applyOverrides(themeData, scope.overrides);
+		const transition = options.transition !== undefined ? normalizeTransition(options.transition) : this.transition;
+
+		// The first theme has nothing to transition from
+		if (transition && scope.themeData) {
+			this.transitionTheme(scope, appliedThemeData, transition, options);
+		} else {
+			this.applyTheme(appliedThemeData, options);
+		}
+		scope.activeTheme = next.paths;
+		scope.activeThemeInfo = next;
+		scope.themeData = themeData;
+		scope.appliedThemeData = appliedThemeData;
+
+		this.dispatchEvent(new CustomEvent('themechange', { detail }));
+
+		return true;
+	}
+
+	/**
+	 * Apply a theme as an animated transition
+	 * The scope's transition holds a promise for the running animation,
+	 * which the load methods wait for before they resolve. A view transition
+	 * applies the theme asynchronously, so it applies whatever the scope
+	 * holds by then (overrides set in between included).
+	 *
+	 * @param {ThemeScope} scope - Scope to update
+	 * @param {Object} appliedThemeData - Theme data with overrides applied
+	 * @param {Object} transition - Settings from normalizeTransition()
+	 * @param {Object} options - Apply options
+	 */
+	transitionTheme(scope, appliedThemeData, transition, options) {
+		// Synchronous updates run before commitTheme() records the new theme on the scope
+		let pending = true;
+		const update = () => {
+			const themeData = pending ? appliedThemeData : scope.appliedThemeData;
+			if (this.scopes.get(scope.node) === scope && themeData) {
+				this.applyTheme(themeData, options);
+			}
+		};
+
+		const finished = runThemeTransition(scope, update, transition).then(() => {
+			if (scope.transition === finished) {
+				scope.transition = null;
+			}
+		});
+		pending = false;
+		scope.transition = finished;
+	}
+
+	/**
+	 * Wait for the target's running theme transition to finish
+	 * @param {Object} options - Target options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 * @returns {Promise<void>}
+	 */
+	async waitForTransition(options = {}) {
+		const scope = this.getScope(options.target, false);
+
+		while (scope && scope.transition) {
+			await scope.transition;
+		}
+	}
+
+	/**
+	 * Layer token overrides on top of a merged theme
+	 * Literal overrides of base tokens stay in base, so color scales are
+	 * regenerated from an overridden base color; everything else goes to
+	 * properties. Overrides of generated scale steps win over the regenerated scale.
+	 *
+	 * @param {Object} themeData - Merged theme object
+	 * @param {Object} overrides - Token name to value
+	 * @returns {Object} New merged theme (themeData itself if there are no overrides)
+	 */
+	applyOverrides(themeData, overrides) {
+		const names = Object.keys(overrides);
+		if (names.length === 0) return themeData;
+
+		const layer = { base: {}, properties: {} };
+		names.forEach(name => {
+			const value = overrides[name];
+			const inBase = Object.prototype.hasOwnProperty.call(themeData.base || {}, name);
+			const section = inBase && !this.parser.isReference(value) ? 'base' : 'properties';
+			layer[section][name] = value;
+		});
 
-		const merged = this.parser.merge(themes);
-		this.applyTheme(merged);
-		this.activeTheme = themePaths;
+		const merged = this.parser.merge([themeData, layer]);
+		Object.assign(merged.base, layer.base);
 
 		return merged;
 	}
 
 	/**
-	 * Load a theme with a specific variant
+	 * Override individual tokens on top of the active theme
+	 * Overrides are kept per target and survive theme switches; pass null
+	 * as a value to drop that override. They are re-applied immediately
+	 * if a theme is active, otherwise with the next theme that loads.
+	 *
+	 * @param {Object} overrides - Token name to value (e.g. { '--now-color--primary': '120,40,200' })
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 * @returns {Object} All overrides now active on the target
+	 * @throws {Error} If a key is not a custom property name
+	 *
+	 * @example
+	 * // Tenant branding without forking the theme JSON
+	 * loader.setOverrides({
+	 *   '--now-color--primary': '120,40,200',
+	 *   '--now-color_background--primary': '--now-color--neutral-1'
+	 * });
+	 */
+	setOverrides(overrides, options = {}) {
+		const invalid = Object.keys(overrides).filter(name => !name.startsWith('--'));
+		if (invalid.length > 0) {
+			throw new Error(`Invalid token name(s): ${invalid.join(', ')} (expected CSS custom properties like --now-color--primary)`);
+		}
+
+		const scope = this.getScope(options.target);
+		Object.entries(overrides).forEach(([name, value]) => {
+			if (value === null || value === undefined) {
+				delete scope.overrides[name];
+			} else {
+				scope.overrides[name] = value;
+			}
+		});
+
+		this.reapplyOverrides(scope, options);
+
+		return this.getOverrides(options);
+	}
+
+	/**
+	 * Remove token overrides
+	 * @param {String[]} names - Tokens to drop (default: all)
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 */
+	clearOverrides(names, options = {}) {
+		const scope = this.getScope(options.target, false);
+		if (!scope) return;
+
+		if (names) {
+			names.forEach(name => delete scope.overrides[name]);
+		} else {
+			scope.overrides = {};
+		}
+
+		this.reapplyOverrides(scope, options);
+	}
+
+	/**
+	 * Get the token overrides active on a target
+	 * @param {Object} options - Lookup options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 * @returns {Object} Token name to value
+	 */
+	getOverrides(options = {}) {
+		const scope = this.getScope(options.target, false);
+		return scope ? { ...scope.overrides } : {};
+	}
+
+	/**
+	 * Re-apply the active theme of a scope with its current overrides
+	 * @param {ThemeScope} scope - Scope to refresh
+	 * @param {Object} options - Apply options (target)
+	 */
+	reapplyOverrides(scope, options) {
+		if (!scope.themeData) return;
+
+		scope.appliedThemeData = this.applyOverrides(scope.themeData, scope.overrides);
+		this.applyTheme(scope.appliedThemeData, options);
+	}
+
+	/**
+	 * Get a token's value from the active theme, overrides included
+	 * @param {String} name - Token name (e.g., '--now-color_text--primary')
+	 * @param {Object} options - Lookup options
+	 * @param {Boolean} options.resolved - Follow aliases to the literal value (default: false)
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 * @returns {*} Raw or resolved value, or undefined if no theme is active or the token is not defined
+	 * @throws {Error} With resolved, if the alias chain is circular or ends at an undefined token
+	 *
+	 * @example
+	 * loader.getToken('--now-color_text--primary');                     // '--now-color--neutral-18'
+	 * loader.getToken('--now-color_text--primary', { resolved: true }); // '17,21,23'
+	 */
+	getToken(name, options = {}) {
+		const themeData = this.getAppliedThemeData(options);
+		if (!themeData || this.parser.getRawValue(name, themeData) === undefined) {
+			return undefined;
+		}
+
+		return options.resolved
+			? this.parser.resolveToken(name, themeData)
+			: this.parser.getRawValue(name, themeData);
+	}
+
+	/**
+	 * Get every token of the active theme whose name starts with a prefix
+	 * With resolved, tokens whose aliases can't be resolved are left out.
+	 *
+	 * @param {String} prefix - Name prefix (default: '', all tokens)
+	 * @param {Object} options - Lookup options
+	 * @param {Boolean} options.resolved - Follow aliases to literal values (default: false)
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 * @returns {Object} Token name to value (empty if no theme is active)
+	 *
+	 * @example
+	 * loader.getTokens('--now-button--primary', { resolved: true });
+	 */
+	getTokens(prefix = '', options = {}) {
+		const themeData = this.getAppliedThemeData(options);
+		const tokens = {};
+		if (!themeData) return tokens;
+
+		if (options.resolved) {
+			this.parser.resolveAll(themeData).forEach((value, name) => {
+				if (name.startsWith(prefix)) tokens[name] = value;
+			});
+			return tokens;
+		}
+
+		['base', 'properties'].forEach(section => {
+			Object.entries(themeData[section] || {}).forEach(([name, value]) => {
+				if (name !== 'isDark' && name.startsWith(prefix)) tokens[name] = value;
+			});
+		});
+
+		return tokens;
+	}
+
+	/**
+	 * Get the theme data applied to a target, overrides included
+	 * @param {Object} options - Lookup options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 * @returns {Object|null} Merged theme object, or null if no theme is active
+	 */
+	getAppliedThemeData(options = {}) {
+		const scope = this.getScope(options.target, false);
+		return scope ? scope.appliedThemeData : null;
+	}
+
+	/**
+	 * Listen to every lifecycle event with one callback
+	 * @param {Function} listener - Called with each event (check event.type)
+	 * @returns {Function} Call to unsubscribe
+	 *
+	 * @example
+	 * const unsubscribe = loader.subscribe((event) => analytics.track(event.type, event.detail.next));
+	 */
+	subscribe(listener) {
+		THEME_EVENTS.forEach(type => this.addEventListener(type, listener));
+
+		return () => {
+			THEME_EVENTS.forEach(type => this.removeEventListener(type, listener));
+		};
+	}
+
+	/**
+	 * Dispatch themeerror for a failed load, once per error
+	 * @param {Error} error - What went wrong
+	 * @param {Object} next - { themeName, variant, paths } of the theme that failed
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 */
+	reportThemeError(error, next, options = {}) {
+		// Aborting is what the caller asked for, not a failure
+		if (isAbortError(error)) return;
+
+		if (error !== null && typeof error === 'object') {
+			if (this.reportedErrors.has(error)) return;
+			this.reportedErrors.add(error);
+		}
+
+		let target = null;
+		try {
+			target = ThemeScope.resolveNode(options.target || this.target);
+		} catch (targetError) {
+			// The target itself was the problem
+		}
+
+		this.dispatchEvent(new CustomEvent('themeerror', {
+			detail: { error, next, target }
+		}));
+	}
+
+	/**
+	 * Start a load for a target, aborting the load still in flight there
+	 * @param {Object} options - Load options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
+	 * @param {AbortSignal} options.signal - Caller's signal, forwarded to the load
+	 * @returns {Object} { node, controller, signal, superseded, release } for runLoad()
+	 * @throws {Error} If options.signal is already aborted or the target doesn't resolve
+	 */
+	beginLoad(options = {}) {
+		throwIfAborted(options.signal);
+
+		const node = ThemeScope.resolveNode(options.target || this.target);
+		this.abortPendingLoad(node);
+
+		const controller = new AbortController();
+		const onAbort = () => controller.abort(options.signal.reason);
+		const load = {
+			node,
+			controller,
+			signal: controller.signal,
+			superseded: false,
+			release: () => {
+				if (options.signal) options.signal.removeEventListener('abort', onAbort);
+				if (this.pendingLoads.get(node) === load) this.pendingLoads.delete(node);
+				// Stop sibling fetches that are still running after a failure
+				controller.abort();
+			}
+		};
+
+		if (options.signal) {
+			options.signal.addEventListener('abort', onAbort, { once: true });
+		}
+		this.pendingLoads.set(node, load);
+
+		return load;
+	}
+
+	/**
+	 * Abort the load in flight for a target, if any
+	 * @param {Element|ShadowRoot} node - Target node
+	 */
+	abortPendingLoad(node) {
+		const pending = this.pendingLoads.get(node);
+		if (!pending) return;
+
+		pending.superseded = true;
+		pending.controller.abort(createAbortError('Superseded by a newer theme load'));
+		this.pendingLoads.delete(node);
+	}
+
+	/**
+	 * Run a load as the target's current load
+	 * The task gets the load's AbortSignal and should call throwIfAborted(signal)
+	 * right before applying anything. Failures dispatch themeerror; a load
+	 * superseded by a newer one resolves to null.
+	 *
+	 * @param {Object} next - { themeName, variant, paths } reported with errors
+	 * @param {Object} options - Load options (target, signal)
+	 * @param {Function} task - async (signal) => result
+	 * @returns {Promise<*>} Task result once any theme transition has finished, or null if the load was superseded
+	 * @throws {Error} The task's error, or the abort reason if options.signal aborted
+	 */
+	async runLoad(next, options, task) {
+		let load = null;
+
+		try {
+			load = this.beginLoad(options);
+			const result = await task(load.signal);
+
+			if (result) {
+				await this.waitForTransition(options);
+			}
+			return result;
+		} catch (error) {
+			const callerAborted = Boolean(options.signal && options.signal.aborted);
+			if (load && load.superseded && isAbortError(error) && !callerAborted) {
+				console.log(`Theme load superseded${next.themeName ? ` (${next.themeName} ${next.variant})` : ''}`);
+				return null;
+			}
+
+			if (!callerAborted) {
+				this.reportThemeError(error, next, options);
+			}
+			throw error;
+		} finally {
+			if (load) load.release();
+		}
+	}
+
+	/**
+	 * Load a variant's colors file along with every variant it extends
+	 * A variant declares its parent with a top-level "extends" key
+	 * (e.g. dark/colors.json has "extends": "light"), and the chain is
+	 * followed until a variant without "extends" is reached. Themes listed in
+	 * the manifest use its "extends" and "files" instead, so a variant can
+	 * consist of several files.
+	 *
 	 * @param {String} themeName - Theme name (e.g., 'polaris', 'coral')
 	 * @param {String} variant - Variant name (e.g., 'light', 'dark')
-	 * @returns {Promise<Object>} Merged theme data
+	 * @param {Object} options - Load options
+	 * @param {AbortSignal} options.signal - Aborts the fetches
+	 * @returns {Promise<Object[]>} Chain of { path, data }, root variant first
+	 *
+	 * @example
+	 * const chain = await loader.loadVariantChain('coral', 'dark');
+	 * // [{ path: '.../light/colors.json', ... }, { path: '.../dark/colors.json', ... }]
+	 */
+	async loadVariantChain(themeName, variant, options = {}) {
+		const manifestTheme = await this.getManifestTheme(themeName, options);
+		if (manifestTheme) {
+			const { chain } = getManifestFiles(this.manifest, themeName, variant);
+			return this.loadFileList(chain.flatMap(link => link.files), options);
+		}
+
+		const chain = [];
+		const visited = [];
+		let current = variant;
+
+		while (current) {
+			if (visited.includes(current)) {
+				throw new Error(`Circular variant inheritance in theme '${themeName}': ${[...visited, current].join(' -> ')}`);
+			}
+			visited.push(current);
+
+			const path = `themes/${themeName}/variants/${current}/colors.json`;
+			const data = await this.loadSingleTheme(path, { signal: options.signal });
+			chain.unshift({ path, data });
+
+			current = data.extends;
+		}
+
+		return chain;
+	}
+
+	/**
+	 * Load a theme with a specific variant
+	 * Variants that extend another variant are layered on top of it,
+	 * so every variant is complete on its own. The 'auto' variant picks
+	 * light or dark from the OS setting (see loadAutoTheme); any other
+	 * variant stops a previous 'auto' load on the same target.
+	 *
+	 * @param {String} themeName - Theme name (e.g., 'polaris', 'coral')
+	 * @param {String} variant - Variant name (e.g., 'light', 'dark', 'auto')
+	 * @param {Object} options - Apply options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector to theme (default: loader target)
+	 * @param {String[]} options.variants - Candidate variants for 'auto' (default: ['light', 'dark'])
+	 * @param {AbortSignal} options.signal - Aborts the load
+	 * @returns {Promise<Object|null>} Merged theme data, or null if the change was canceled or superseded
+	 * @throws {ThemeLoadError} If a theme file fails to load; the current theme stays applied
 	 *
 	 * @example
 	 * await loader.loadTheme('polaris', 'dark');
+	 *
+	 * @example
+	 * // Preview two variants side by side
+	 * await loader.loadTheme('coral', 'light', { target: '#preview-light' });
+	 * await loader.loadTheme('coral', 'dark', { target: '#preview-dark' });
+	 */
+	async loadTheme(themeName, variant, options = {}) {
+		if (variant === AUTO_VARIANT) {
+			return this.loadAutoTheme(themeName, options);
+		}
+
+		return this.runLoad({ themeName, variant, paths: null }, options, async signal => {
+			const { themes, paths } = await this.loadThemeFiles(themeName, variant, { signal });
+			throwIfAborted(signal);
+
+			const merged = this.applyThemeSet(themes, paths, { ...options, themeName, variant });
+			if (merged) {
+				this.getScope(options.target).unwatchColorScheme();
+			}
+
+			return merged;
+		});
+	}
+
+	/**
+	 * Load the light or dark variant matching the OS color scheme, and
+	 * re-apply it whenever the OS setting changes
+	 * Following stops when another variant is loaded or the theme is removed.
+	 *
+	 * @param {String} themeName - Theme name (e.g., 'polaris', 'coral')
+	 * @param {Object} options - Apply options (see loadTheme)
+	 * @returns {Promise<Object|null>} Merged theme data, or null if the change was canceled or superseded
 	 */
-	async loadTheme(themeName, variant) {
-		return this.loadThemeSet([
-			`themes/${themeName}/variants/${variant}/colors.json`,
-			`themes/${themeName}/shape-and-form.json`,
-			`themes/${themeName}/typography.json`
+	async loadAutoTheme(themeName, options = {}) {
+		const merged = await this.runLoad({ themeName, variant: AUTO_VARIANT, paths: null }, options, async signal => {
+			const variant = await this.resolveAutoVariant(themeName, options.variants, { signal });
+			throwIfAborted(signal);
+
+			// Takes over from this load as the target's current load
+			return this.loadTheme(themeName, variant, options);
+		});
+		if (!merged) return null;
+
+		// The caller's signal was for this load, not for later OS changes
+		const followOptions = { ...options, signal: undefined };
+		this.getScope(options.target).watchColorScheme(() => {
+			this.loadAutoTheme(themeName, followOptions).catch(error => {
+				console.error(`Failed to follow color scheme for ${themeName}:`, error);
+			});
+		});
+
+		return merged;
+	}
+
+	/**
+	 * Pick the variant matching the OS color scheme
+	 * Each candidate's colors.json is checked for "isDark": "true"; the first
+	 * variant whose flag matches the OS setting wins, otherwise the first candidate.
+	 *
+	 * @param {String} themeName - Theme name (e.g., 'polaris', 'coral')
+	 * @param {String[]} variants - Candidate variants (default: ['light', 'dark'])
+	 * @param {Object} options - Load options
+	 * @param {AbortSignal} options.signal - Aborts the fetches
+	 * @returns {Promise<String>} Variant name
+	 */
+	async resolveAutoVariant(themeName, variants = ['light', 'dark'], options = {}) {
+		const prefersDark = this.prefersDarkColorScheme();
+		const manifestTheme = await this.getManifestTheme(themeName, options);
+		const flags = await Promise.all(variants.map(async variant => {
+			if (manifestTheme && manifestTheme.variants[variant]) {
+				return { variant, isDark: manifestTheme.variants[variant].isDark === true };
+			}
+
+			const data = await this.loadSingleTheme(`themes/${themeName}/variants/${variant}/colors.json`, { signal: options.signal });
+			return { variant, isDark: String(data.isDark) === 'true' };
+		}));
+
+		const match = flags.find(flag => flag.isDark === prefersDark);
+		return (match || flags[0]).variant;
+	}
+
+	/**
+	 * Check whether the OS prefers a dark color scheme
+	 * @returns {Boolean} false where matchMedia is unavailable
+	 */
+	prefersDarkColorScheme() {
+		return typeof window !== 'undefined' &&
+			typeof window.matchMedia === 'function' &&
+			window.matchMedia(DARK_SCHEME_QUERY).matches;
+	}
+
+	/**
+	 * Load every file that makes up a theme variant without applying it
+	 * Returns the variant chain followed by the shared theme files, in merge order.
+	 * Shared files are the manifest's "files" for themes it lists, and
+	 * shape-and-form.json plus typography.json otherwise. Optional manifest
+	 * files that don't exist are left out.
+	 *
+	 * @param {String} themeName - Theme name (e.g., 'polaris', 'coral')
+	 * @param {String} variant - Variant name (e.g., 'light', 'dark')
+	 * @param {Object} options - Load options
+	 * @param {AbortSignal} options.signal - Aborts the fetches
+	 * @returns {Promise<Object>} { themes, paths, chainLength } ready for ThemeParser.merge(),
+	 *   where the first chainLength entries are the variant chain
+	 *
+	 * @example
+	 * const { themes } = await loader.loadThemeFiles('coral', 'dark');
+	 * const css = loader.parser.parse(loader.parser.merge(themes));
+	 */
+	async loadThemeFiles(themeName, variant, options = {}) {
+		const manifestTheme = await this.getManifestTheme(themeName, options);
+		const sharedFiles = manifestTheme
+			? getManifestFiles(this.manifest, themeName, variant).shared
+			: ['shape-and-form.json', 'typography.json'].map(file => ({ path: `themes/${themeName}/${file}`, optional: false }));
+
+		const [chain, shared] = await Promise.all([
+			this.loadVariantChain(themeName, variant, options),
+			this.loadFileList(sharedFiles, options)
 		]);
+
+		return {
+			themes: [...chain, ...shared].map(link => link.data),
+			paths: [...chain, ...shared].map(link => link.path),
+			chainLength: chain.length
+		};
+	}
+
+	/**
+	 * Load a list of theme files, leaving out optional files that don't exist
+	 * @param {Object[]} files - [{ path, optional }]
+	 * @param {Object} options - Load options
+	 * @param {AbortSignal} options.signal - Aborts the fetches
+	 * @returns {Promise<Object[]>} [{ path, data }] in the same order
+	 */
+	async loadFileList(files, options = {}) {
+		const loaded = await Promise.all(files.map(async file => ({
+			path: file.path,
+			data: await this.loadSingleTheme(file.path, { optional: file.optional, signal: options.signal })
+		})));
+
+		return loaded.filter(link => link.data !== null);
+	}
+
+	/**
+	 * Load a theme variant's files ahead of time without applying them
+	 * Lazy preloaded files are imported and fetched files are cached, so a
+	 * later loadTheme() for the variant doesn't wait. Failures are only logged;
+	 * loadTheme() reports them if the variant is actually selected.
+	 *
+	 * @param {String} themeName - Theme name (e.g., 'polaris', 'coral')
+	 * @param {String} variant - Variant name, or 'auto' for the variant matching the OS setting
+	 * @param {Object} options - Load options
+	 * @param {String[]} options.variants - Candidate variants for 'auto' (default: ['light', 'dark'])
+	 * @param {AbortSignal} options.signal - Aborts the prefetch
+	 * @returns {Promise<Boolean>} true if every file loaded
+	 *
+	 * @example
+	 * select.addEventListener('pointerenter', () => loader.prefetchTheme('coral', 'dark'), { once: true });
+	 */
+	async prefetchTheme(themeName, variant, options = {}) {
+		try {
+			const resolved = variant === AUTO_VARIANT
+				? await this.resolveAutoVariant(themeName, options.variants, options)
+				: variant;
+
+			await this.loadThemeFiles(themeName, resolved, options);
+			return true;
+		} catch (error) {
+			if (!isAbortError(error)) {
+				console.warn(`Could not prefetch ${themeName} ${variant}:`, error);
+			}
+			return false;
+		}
+	}
+
+	/**
+	 * Generate a brand variant from seed colors and apply it
+	 * The template theme's variant supplies the properties alias graph and
+	 * scale configuration, and its shared files are applied as usual.
+	 *
+	 * @param {Object} seed - Seed colors, e.g. { primary: '#6b2fd0', mode: 'dark' } (see generateBrandVariant in brand.js)
+	 * @param {Object} options - Apply options
+	 * @param {String} options.template - Theme whose variant is used as the template (default: 'coral')
+	 * @param {String} options.templateVariant - Template variant (default: 'dark' for dark seeds, otherwise 'light')
+	 * @param {String} options.name - Theme name reported in lifecycle events (default: 'brand')
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector to theme (default: loader target)
+	 * @param {AbortSignal} options.signal - Aborts the load
+	 * @returns {Promise<Object|null>} Merged theme data, or null if the change was canceled or superseded
+	 *
+	 * @example
+	 * // Live preview of a customer's brand
+	 * await loader.loadBrandTheme({ primary: '#6b2fd0', secondary: '#2f80d0' }, { target: '#preview' });
+	 */
+	async loadBrandTheme(seed, options = {}) {
+		const template = options.template || 'coral';
+		const templateVariant = options.templateVariant || (seed && seed.mode === 'dark' ? 'dark' : 'light');
+		const name = options.name || 'brand';
+		const variant = seed && seed.mode === 'dark' ? 'dark' : 'light';
+
+		return this.runLoad({ themeName: name, variant, paths: null }, options, async signal => {
+			const { themes, paths, chainLength } = await this.loadThemeFiles(template, templateVariant, { signal });
+			throwIfAborted(signal);
+
+			const brandVariant = generateBrandVariant(seed, themes.slice(0, chainLength), { parser: this.parser });
+			const merged = this.applyThemeSet(
+				[brandVariant, ...themes.slice(chainLength)],
+				[`brand:${name}`, ...paths.slice(chainLength)],
+				{ ...options, themeName: name, variant }
+			);
+
+			if (merged) {
+				this.getScope(options.target).unwatchColorScheme();
+			}
+
+			return merged;
+		});
 	}
 
 	/**
 	 * Load ServiceNow light theme (Polaris light variant)
+	 * @param {Object} options - Apply options (see loadTheme)
 	 * @returns {Promise<Object>} Merged light theme data
 	 */
-	async loadLightTheme() {
-		return this.loadTheme('polaris', 'light');
+	async loadLightTheme(options = {}) {
+		return this.loadTheme('polaris', 'light', options);
 	}
 
 	/**
 	 * Load ServiceNow dark theme (Polaris dark variant)
+	 * @param {Object} options - Apply options (see loadTheme)
 	 * @returns {Promise<Object>} Merged dark theme data
 	 */
-	async loadDarkTheme() {
-		return this.loadTheme('polaris', 'dark');
+	async loadDarkTheme(options = {}) {
+		return this.loadTheme('polaris', 'dark', options);
 	}
 
 	/**
 	 * Remove theme styles from DOM
-	 * Clears all theme-related CSS custom properties
+	 * Clears every CSS custom property and stylesheet set by this loader on the target
+	 * and dispatches themeremoved. A load still in flight for the target is aborted.
+	 * @param {Object} options - Remove options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
 	 */
-	removeTheme() {
-		// Note: This doesn't actually remove properties, just clears the active theme reference
-		// CSS custom properties will remain set until overwritten by another theme
-		this.activeTheme = null;
-		console.log('Theme reference cleared (CSS properties remain)');
+	removeTheme(options = {}) {
+		this.abortPendingLoad(ThemeScope.resolveNode(options.target || this.target));
+
+		const scope = this.getScope(options.target, false);
+		if (!scope) {
+			console.log('No theme to remove');
+			return;
+		}
+
+		const previous = scope.activeThemeInfo;
+		const count = scope.remove();
+		this.scopes.delete(scope.node);
+
+		console.log(`Theme removed (${count} properties cleared)`);
+
+		this.dispatchEvent(new CustomEvent('themeremoved', {
+			detail: { previous, target: scope.node }
+		}));
 	}
 
 	/**
 	 * Get currently active theme
+	 * @param {Object} options - Lookup options
+	 * @param {Element|ShadowRoot|String} options.target - Element, shadow root or selector (default: loader target)
 	 * @returns {String|String[]|null} Active theme path(s) or null
 	 */
-	getActiveTheme() {
-		return this.activeTheme;
+	getActiveTheme(options = {}) {
+		const scope = this.getScope(options.target, false);
+		return scope ? scope.activeTheme : null;
 	}
 
 	/**
-	 * Clear the theme cache
+	 * Clear the theme cache, the persistent cache included
 	 * Useful for development when theme files are modified
+	 * @returns {Promise<void>} Resolves once the persistent cache is cleared
 	 */
-	clearCache() {
+	async clearCache() {
 		this.cache.clear();
+		this.cacheInfo.clear();
+
+		if (this.persistentCache) {
+			try {
+				await this.persistentCache.clear();
+			} catch (error) {
+				console.warn('Could not clear the persistent theme cache:', error);
+			}
+		}
 	}
 
 	/**
 	 * Get cache statistics
-	 * @returns {Object} Cache stats { size, keys }
+	 * Hits and misses count lookups of fetched files since the loader was
+	 * created; entries describe the files in memory, with ages measured from
+	 * when each was fetched or last revalidated.
+	 *
+	 * @returns {Object} Cache stats { size, keys, bytes, hits, memoryHits, persistentHits, misses, hitRate,
+	 *   revalidated, updated, revalidationErrors, persistent, entries } where entries are
+	 *   { key, bytes, age, etag, source } and persistent is the backend name (null when memory only)
 	 */
 	getCacheStats() {
+		const now = Date.now();
+		const entries = Array.from(this.cache.keys()).map(key => {
+			const info = this.cacheInfo.get(key) || {};
+			return {
+				key,
+				bytes: info.bytes || 0,
+				age: info.storedAt ? now - info.storedAt : 0,
+				etag: info.etag || null,
+				source: info.source || 'network'
+			};
+		});
+		const { memoryHits, persistentHits, misses } = this.cacheCounts;
+		const hits = memoryHits + persistentHits;
+
 		return {
 			size: this.cache.size,
-			keys: Array.from(this.cache.keys())
+			keys: Array.from(this.cache.keys()),
+			bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+			hits,
+			...this.cacheCounts,
+			hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+			persistent: this.persistentCache ? (this.persistentCache.name || 'custom') : null,
+			entries
 		};
 	}
 
@@ -232,12 +1468,14 @@ export class ServiceNowThemeLoader {
 	 * Debug helper: Log sample of current theme variables
 	 */
 	debugTheme() {
-		if (!this.activeTheme) {
+		const activeTheme = this.getActiveTheme();
+
+		if (!activeTheme) {
 			console.log('No theme loaded');
 			return;
 		}
 
-		console.log('Active theme:', this.activeTheme);
+		console.log('Active theme:', activeTheme);
 
 		// Check what's actually SET vs what's COMPUTED
 		const rootElement = document.documentElement;
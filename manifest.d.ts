@@ -0,0 +1,48 @@
+/**
+ * Type declarations for manifest.js
+ */
+
+export const MANIFEST_PATH: 'themes/manifest.json';
+export const MANIFEST_VERSION: 1;
+
+/**
+ * File path relative to the theme directory, or { path, optional }
+ */
+export type ManifestFileEntry = string | { path: string; optional?: boolean };
+
+export interface ManifestVariant {
+	label?: string;
+	isDark?: boolean;
+	extends?: string;
+	files: ManifestFileEntry[];
+	[metadata: string]: unknown;
+}
+
+export interface ManifestTheme {
+	label?: string;
+	/** Shared files, merged after the variant chain */
+	files?: ManifestFileEntry[];
+	variants: Record<string, ManifestVariant>;
+	[metadata: string]: unknown;
+}
+
+export interface ThemeManifest {
+	version?: number;
+	themes: Record<string, ManifestTheme>;
+}
+
+export interface ManifestFile {
+	path: string;
+	optional: boolean;
+}
+
+export function toLabel(name: string): string;
+export function compareVariantNames(a: string, b: string): number;
+export function normalizeFileEntry(entry: ManifestFileEntry): ManifestFile;
+/** @throws If the manifest can't be used */
+export function validateManifest(manifest: unknown): asserts manifest is ThemeManifest;
+export function getManifestFiles(manifest: ThemeManifest, themeName: string, variant: string): {
+	chain: Array<{ variant: string; files: ManifestFile[] }>;
+	shared: ManifestFile[];
+};
+export function buildManifest(themeFiles: Record<string, unknown>, previous?: ThemeManifest | null): ThemeManifest;
@@ -0,0 +1,246 @@
+/**
+ * Theme manifest - describes the themes under themes/ without scanning them
+ *
+ * The manifest lists each theme's variants, display labels and files, so
+ * themes can be discovered when they're fetched from a server instead of
+ * bundled as preloadedThemes, and can carry extra or optional files.
+ * Generate it with `node cli.js manifest themes`.
+ *
+ * @example
+ * {
+ *   "version": 1,
+ *   "themes": {
+ *     "coral": {
+ *       "label": "Coral",
+ *       "files": ["shape-and-form.json", "typography.json", { "path": "brand.json", "optional": true }],
+ *       "variants": {
+ *         "light": { "label": "Light", "isDark": false, "files": ["variants/light/colors.json"] },
+ *         "dark": { "label": "Dark", "isDark": true, "extends": "light", "files": ["variants/dark/colors.json"] }
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * File paths are relative to the theme directory. Shared files ("files"
+ * on the theme) are merged after the variant chain, in the listed order.
+ * Any other keys (e.g. "description") are kept as metadata.
+ */
+
+/**
+ * Where the manifest lives, relative to the loader's basePath
+ */
+export const MANIFEST_PATH = 'themes/manifest.json';
+
+/**
+ * Manifest format version written by buildManifest()
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Turn a theme or variant name into a label ('high-contrast' → 'High Contrast')
+ * @param {String} name - Theme or variant name
+ * @returns {String} Label
+ */
+export function toLabel(name) {
+	return name
+		.split(/[-_\s]+/)
+		.filter(Boolean)
+		.map(word => word.charAt(0).toUpperCase() + word.slice(1))
+		.join(' ');
+}
+
+/**
+ * Sort order for variant names: light, dark, then alphabetical
+ * @param {String} a - Variant name
+ * @param {String} b - Variant name
+ * @returns {Number}
+ */
+export function compareVariantNames(a, b) {
+	if (a === 'light') return -1;
+	if (b === 'light') return 1;
+	if (a === 'dark') return -1;
+	if (b === 'dark') return 1;
+	return a.localeCompare(b);
+}
+
+/**
+ * Normalize a manifest file entry
+ * @param {String|Object} entry - 'path.json' or { path, optional }
+ * @returns {Object} { path, optional }
+ */
+export function normalizeFileEntry(entry) {
+	return typeof entry === 'string'
+		? { path: entry, optional: false }
+		: { path: entry.path, optional: entry.optional === true };
+}
+
+/**
+ * Check a manifest's structure
+ * @param {Object} manifest - Parsed manifest
+ * @throws {Error} If the manifest can't be used
+ */
+export function validateManifest(manifest) {
+	if (!manifest || typeof manifest !== 'object' || !manifest.themes || typeof manifest.themes !== 'object') {
+		throw new Error('Invalid theme manifest: expected { "themes": { ... } }');
+	}
+
+	if (manifest.version !== undefined && manifest.version > MANIFEST_VERSION) {
+		throw new Error(`Unsupported theme manifest version ${manifest.version} (expected ${MANIFEST_VERSION} or lower)`);
+	}
+
+	Object.entries(manifest.themes).forEach(([themeName, theme]) => {
+		if (!theme || typeof theme.variants !== 'object' || Object.keys(theme.variants).length === 0) {
+			throw new Error(`Invalid theme manifest: theme '${themeName}' has no variants`);
+		}
+
+		const entries = [...(theme.files || [])];
+		Object.entries(theme.variants).forEach(([variant, info]) => {
+			if (!info || !Array.isArray(info.files) || info.files.length === 0) {
+				throw new Error(`Invalid theme manifest: variant '${themeName}/${variant}' has no files`);
+			}
+			if (info.extends && !theme.variants[info.extends]) {
+				throw new Error(`Invalid theme manifest: variant '${themeName}/${variant}' extends unknown variant '${info.extends}'`);
+			}
+			entries.push(...info.files);
+		});
+
+		entries.forEach(entry => {
+			const { path } = normalizeFileEntry(entry || {});
+			if (typeof path !== 'string' || !path.endsWith('.json')) {
+				throw new Error(`Invalid theme manifest: theme '${themeName}' lists a file without a .json path`);
+			}
+		});
+	});
+}
+
+/**
+ * List the files that make up a theme variant, in merge order
+ * @param {Object} manifest - Parsed manifest
+ * @param {String} themeName - Theme name
+ * @param {String} variant - Variant name
+ * @returns {Object} { chain, shared } where chain is [{ variant, files }] root variant first,
+ *   and files/shared are [{ path, optional }] with paths relative to basePath
+ * @throws {Error} If the theme or variant isn't listed, or variants extend each other in a circle
+ */
+export function getManifestFiles(manifest, themeName, variant) {
+	const theme = manifest.themes[themeName];
+	if (!theme) {
+		throw new Error(`Theme '${themeName}' is not listed in the theme manifest`);
+	}
+
+	const qualify = (entry) => {
+		const file = normalizeFileEntry(entry);
+		return { ...file, path: `themes/${themeName}/${file.path}` };
+	};
+	const chain = [];
+	const visited = [];
+	let current = variant;
+
+	while (current) {
+		if (visited.includes(current)) {
+			throw new Error(`Circular variant inheritance in theme '${themeName}': ${[...visited, current].join(' -> ')}`);
+		}
+		visited.push(current);
+
+		const info = theme.variants[current];
+		if (!info) {
+			throw new Error(`Variant '${current}' of theme '${themeName}' is not listed in the theme manifest`);
+		}
+
+		chain.unshift({ variant: current, files: info.files.map(qualify) });
+		current = info.extends;
+	}
+
+	return { chain, shared: (theme.files || []).map(qualify) };
+}
+
+/**
+ * Build a manifest from theme files keyed like preloadedThemes
+ * ('themes/<theme>/<file>.json' and 'themes/<theme>/variants/<variant>/<file>.json').
+ * Labels, metadata, file order and optional entries of a previous manifest
+ * are kept, so hand edits survive regeneration.
+ *
+ * @param {Object} themeFiles - Theme objects keyed by path
+ * @param {Object} previous - Previous manifest (optional)
+ * @returns {Object} Manifest
+ */
+export function buildManifest(themeFiles, previous = null) {
+	const themes = {};
+	const previousThemes = (previous && previous.themes) || {};
+
+	// colors.json first, everything else alphabetically
+	const byMergeOrder = (a, b) => (b.endsWith('/colors.json') - a.endsWith('/colors.json')) || a.localeCompare(b);
+
+	Object.keys(themeFiles).sort(byMergeOrder).forEach(path => {
+		const match = path.match(/^themes\/([^/]+)\/(?:variants\/([^/]+)\/)?([^/]+\.json)$/);
+		if (!match) return;
+
+		const [, themeName, variant] = match;
+		const relative = path.slice(`themes/${themeName}/`.length);
+
+		if (!themes[themeName]) {
+			themes[themeName] = { files: [], variants: {} };
+		}
+
+		if (!variant) {
+			themes[themeName].files.push(relative);
+			return;
+		}
+
+		if (!themes[themeName].variants[variant]) {
+			themes[themeName].variants[variant] = { files: [] };
+		}
+		themes[themeName].variants[variant].files.push(relative);
+
+		if (relative.endsWith('/colors.json')) {
+			const colors = themeFiles[path] || {};
+			themes[themeName].variants[variant].isDark = String(colors.isDark) === 'true';
+			if (colors.extends) themes[themeName].variants[variant].extends = colors.extends;
+		}
+	});
+
+	// Previous entries keep their order (it's the merge order); new files are appended
+	const keepPrevious = (files, previousFiles = []) => {
+		const entries = previousFiles.map(normalizeFileEntry);
+		const kept = entries.filter(entry => entry.optional || files.includes(entry.path));
+		const added = files.filter(path => !entries.some(entry => entry.path === path));
+
+		return [...kept.map(entry => (entry.optional ? entry : entry.path)), ...added];
+	};
+
+	const manifest = { version: MANIFEST_VERSION, themes: {} };
+
+	Object.keys(themes).sort().forEach(themeName => {
+		const found = themes[themeName];
+		const old = previousThemes[themeName] || {};
+		const oldVariants = old.variants || {};
+		const variants = {};
+
+		const variantNames = Object.keys(found.variants).sort(compareVariantNames);
+
+		variantNames.forEach(variant => {
+			const info = found.variants[variant];
+			const oldInfo = oldVariants[variant] || {};
+
+			variants[variant] = {
+				...oldInfo,
+				label: oldInfo.label || toLabel(variant),
+				isDark: info.isDark === true,
+				...(info.extends ? { extends: info.extends } : {}),
+				files: keepPrevious(info.files, oldInfo.files)
+			};
+			if (!info.extends) delete variants[variant].extends;
+		});
+
+		if (variantNames.length === 0) return;
+
+		manifest.themes[themeName] = {
+			...old,
+			label: old.label || toLabel(themeName),
+			files: keepPrevious(found.files, old.files),
+			variants
+		};
+	});
+
+	return manifest;
+}
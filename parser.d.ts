@@ -0,0 +1,117 @@
+/**
+ * Type declarations for parser.js
+ */
+
+/**
+ * CSS custom property name, e.g. '--now-color--primary'
+ */
+export type TokenName = `--${string}`;
+
+/**
+ * Token value: "r,g,b" for base colors, a token name for aliases, or any CSS value
+ */
+export type TokenValue = string | number;
+
+export type ScaleAlgorithm = 'srgb' | 'oklch';
+
+export type ScaleCurve = 'tint-shade' | 'ramp';
+
+export interface ScaleConfig {
+	points?: number;
+	curve?: ScaleCurve;
+	steps?: number[];
+	/** Base color the scale is generated from (default: the scale's own name) */
+	from?: TokenName;
+	algorithm?: ScaleAlgorithm;
+}
+
+/**
+ * A theme file, or several merged into one
+ */
+export interface ThemeData {
+	isDark?: 'true' | 'false' | boolean;
+	/** Variant this variant's colors.json builds on */
+	extends?: string;
+	/** Scales to generate, keyed by color name or prefix ("--now-color_alert--*"); null disables a scale */
+	scales?: Record<string, ScaleConfig | null>;
+	scaleAlgorithm?: ScaleAlgorithm;
+	base?: Record<TokenName, TokenValue>;
+	properties?: Record<TokenName, TokenValue>;
+}
+
+export interface ValidationIssue {
+	severity: 'error' | 'warning';
+	code: string;
+	token?: string | null;
+	file?: string | null;
+	message: string;
+}
+
+export interface ValidationResult {
+	valid: boolean;
+	errors: ValidationIssue[];
+	warnings: ValidationIssue[];
+	issues: ValidationIssue[];
+}
+
+export interface ScaleComparisonRow {
+	index: number;
+	step: number;
+	srgb: string;
+	oklch: string;
+	deltaE: number;
+}
+
+export interface TokenTrace {
+	value: TokenValue | null;
+	chain: TokenName[];
+	error: null | 'missing' | 'cycle';
+}
+
+export interface ThemeParserOptions {
+	/** Default scale algorithm (default: 'srgb') */
+	scaleAlgorithm?: ScaleAlgorithm;
+}
+
+export interface ColorScaleOptions {
+	curve?: ScaleCurve;
+	steps?: number[];
+	algorithm?: ScaleAlgorithm;
+}
+
+export class ThemeParser {
+	constructor(options?: ThemeParserOptions);
+
+	resolvedVars: Map<TokenName, TokenValue>;
+	scaleAlgorithm: ScaleAlgorithm;
+
+	generateColorScale(baseColor: string, points?: number, options?: ColorScaleOptions): string[];
+	compareScaleAlgorithms(baseColor: string, points?: number, options?: ColorScaleOptions): ScaleComparisonRow[];
+	getScaleSteps(points: number, curve?: ScaleCurve): number[];
+
+	/** CSS text with `selector { ... }` */
+	parse(themeData: ThemeData, selector?: string): string;
+	toPropertyMap(themeData: ThemeData): Map<TokenName, string>;
+	resolveValue(value: TokenValue): string;
+	isReference(value: unknown): boolean;
+
+	getRawValue(name: TokenName, themeData: ThemeData): TokenValue | undefined;
+	traceToken(name: TokenName, themeData: ThemeData): TokenTrace;
+	/** @throws If the chain is circular or ends at an undefined token */
+	resolveToken(name: TokenName, themeData: ThemeData): TokenValue;
+	resolveAll(themeData: ThemeData): Map<TokenName, TokenValue>;
+	flatten(themeData: ThemeData): ThemeData;
+
+	/** Later themes override earlier ones; scales are generated into base */
+	merge(themes: ThemeData[]): ThemeData;
+	generateScales(themeData: ThemeData): void;
+	getScaleTargets(themeData: ThemeData): Map<TokenName, ScaleConfig>;
+
+	validate(themeData: ThemeData, file?: string | null): ValidationResult;
+	validateSet(themes: ThemeData[], files?: string[]): ValidationResult;
+	checkScaleConfig(config: ScaleConfig | null): string | null;
+	isRgbTriplet(value: unknown): boolean;
+	validationResult(issues: ValidationIssue[]): ValidationResult;
+}
+
+export default ThemeParser;
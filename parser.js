@@ -5,9 +5,58 @@
  * into CSS custom property declarations that can be injected into the DOM.
  */
 
+import { parseRgb, formatRgb, mixOklch, deltaEOk } from './color.js';
+
+/**
+ * Top-level keys a theme file may contain
+ */
+const KNOWN_TOP_LEVEL_KEYS = ['base', 'properties', 'isDark', 'extends', 'scales', 'scaleAlgorithm'];
+
+/**
+ * Curves a color scale can follow
+ * - 'tint-shade': index 0 = 25% tint, index 1 = base, then darker shades
+ * - 'ramp': white → base → black across all points
+ */
+const SCALE_CURVES = ['tint-shade', 'ramp'];
+
+/**
+ * Color spaces a scale can be interpolated in
+ * - 'srgb': linear mix of the r,g,b channels toward white/black
+ * - 'oklch': perceptual mix that keeps hue stable (see color.js)
+ */
+const SCALE_ALGORITHMS = ['srgb', 'oklch'];
+
+/**
+ * Scale map used when a theme doesn't declare "scales"
+ * Neutral gets a 22-point ramp, the main brand and alert colors a 4-point tint/shade scale.
+ */
+const DEFAULT_SCALES = {
+	'--now-color--neutral': { points: 22, curve: 'ramp' },
+	'--now-color--primary': { points: 4, curve: 'tint-shade' },
+	'--now-color--secondary': { points: 4, curve: 'tint-shade' },
+	'--now-color_selection--primary': { points: 4, curve: 'tint-shade' },
+	'--now-color_selection--secondary': { points: 4, curve: 'tint-shade' },
+	'--now-color--interactive': { points: 4, curve: 'tint-shade' },
+	'--now-color--link': { points: 4, curve: 'tint-shade' },
+	'--now-color--focus': { points: 4, curve: 'tint-shade' },
+	'--now-color_alert--critical': { points: 4, curve: 'tint-shade' },
+	'--now-color_alert--high': { points: 4, curve: 'tint-shade' },
+	'--now-color_alert--warning': { points: 4, curve: 'tint-shade' },
+	'--now-color_alert--moderate': { points: 4, curve: 'tint-shade' },
+	'--now-color_alert--info': { points: 4, curve: 'tint-shade' },
+	'--now-color_alert--positive': { points: 4, curve: 'tint-shade' },
+	'--now-color_alert--low': { points: 4, curve: 'tint-shade' }
+};
+
 export class ThemeParser {
-	constructor() {
+	/**
+	 * Create a new parser
+	 * @param {Object} options - Configuration options
+	 * @param {String} options.scaleAlgorithm - Default scale algorithm: 'srgb' or 'oklch' (default: 'srgb')
+	 */
+	constructor(options = {}) {
 		this.resolvedVars = new Map();
+		this.scaleAlgorithm = options.scaleAlgorithm || 'srgb';
 	}
 
 	/**
@@ -17,76 +66,98 @@ export class ThemeParser {
 	 * - 22-point scale (0-21): 0=white, 21=black, gradual interpolation
 	 *
 	 * @param {String} baseColor - RGB string like "61,74,80"
-	 * @param {Number} points - Number of points: 4 or 22 (default 4)
+	 * @param {Number} points - Number of points (default 4)
+	 * @param {Object} options - Scale options
+	 * @param {String} options.curve - 'tint-shade' or 'ramp' (default: 'tint-shade' for 4 points, 'ramp' otherwise)
+	 * @param {Number[]} options.steps - Explicit mix amount per point, overrides points and curve
+	 * @param {String} options.algorithm - 'srgb' or 'oklch' (default: parser's scaleAlgorithm)
 	 * @returns {Array} Array of RGB strings
 	 */
-	generateColorScale(baseColor, points = 4) {
+	generateColorScale(baseColor, points = 4, options = {}) {
 		const [r, g, b] = baseColor.split(',').map(Number);
-		const scale = [];
+		const steps = options.steps || this.getScaleSteps(points, options.curve);
 
-		if (points === 4) {
-			// 4-point scale: 0=lightest, 1=base, 2=darker, 3=darkest
-			// Index 1 is the exact base color
+		if ((options.algorithm || this.scaleAlgorithm) === 'oklch') {
+			return steps.map(step => formatRgb(mixOklch([r, g, b], step)));
+		}
 
-			// Index 0: Lightest tint (add 25% white)
-			const tint = 0.25;
-			scale.push(`${Math.round(r + (255 - r) * tint)},${Math.round(g + (255 - g) * tint)},${Math.round(b + (255 - b) * tint)}`);
+		return steps.map(step => {
+			if (step > 0) {
+				// Tint: mix toward white
+				return `${Math.round(r + (255 - r) * step)},${Math.round(g + (255 - g) * step)},${Math.round(b + (255 - b) * step)}`;
+			}
 
-			// Index 1: Base color (exact input)
-			scale.push(`${r},${g},${b}`);
+			// Shade: mix toward black (step 0 is the exact base color)
+			return `${Math.round(r * (1 + step))},${Math.round(g * (1 + step))},${Math.round(b * (1 + step))}`;
+		});
+	}
 
-			// Index 2: Darker shade (reduce by 20%)
-			const shade2 = 0.80;
-			scale.push(`${Math.round(r * shade2)},${Math.round(g * shade2)},${Math.round(b * shade2)}`);
+	/**
+	 * Compare the sRGB and OKLCH output for one scale
+	 * @param {String} baseColor - RGB string like "61,74,80"
+	 * @param {Number} points - Number of points (default 4)
+	 * @param {Object} options - Scale options (see generateColorScale)
+	 * @returns {Object[]} One row per index { index, step, srgb, oklch, deltaE }
+	 *
+	 * @example
+	 * parser.compareScaleAlgorithms('61,74,80', 22);
+	 * // [{ index: 0, step: 1, srgb: '255,255,255', oklch: '255,255,255', deltaE: 0 }, ...]
+	 */
+	compareScaleAlgorithms(baseColor, points = 4, options = {}) {
+		const steps = options.steps || this.getScaleSteps(points, options.curve);
+		const srgb = this.generateColorScale(baseColor, points, { ...options, steps, algorithm: 'srgb' });
+		const oklch = this.generateColorScale(baseColor, points, { ...options, steps, algorithm: 'oklch' });
+
+		return steps.map((step, index) => ({
+			index,
+			step,
+			srgb: srgb[index],
+			oklch: oklch[index],
+			deltaE: deltaEOk(parseRgb(srgb[index]), parseRgb(oklch[index]))
+		}));
+	}
 
-			// Index 3: Darkest shade (reduce by 35%)
-			const shade3 = 0.65;
-			scale.push(`${Math.round(r * shade3)},${Math.round(g * shade3)},${Math.round(b * shade3)}`);
+	/**
+	 * Build the mix amounts for a scale curve
+	 * Each step is a number from -1 to 1: positive values mix toward white,
+	 * negative values toward black, 0 is the base color.
+	 *
+	 * @param {Number} points - Number of points
+	 * @param {String} curve - 'tint-shade' or 'ramp' (default: 'tint-shade' for 4 points, 'ramp' otherwise)
+	 * @returns {Number[]} Mix amount per point
+	 */
+	getScaleSteps(points, curve = points === 4 ? 'tint-shade' : 'ramp') {
+		const steps = [];
 
-		} else {
-			// 22-point scale (neutral colors): 0=white, 21=black
+		if (curve === 'tint-shade') {
+			// 0=lightest (25% white), 1=base, then shades of 20%, 35%, 50%, ...
 			for (let i = 0; i < points; i++) {
-				const t = i / (points - 1); // 0 to 1
-				let newR, newG, newB;
-
 				if (i === 0) {
-					// Pure white
-					newR = newG = newB = 255;
-				} else if (i === points - 1) {
-					// Pure black
-					newR = newG = newB = 0;
+					steps.push(0.25);
+				} else if (i === 1) {
+					steps.push(0);
 				} else {
-					// Interpolate from white to black
-					const midPoint = 0.5;
-					if (t < midPoint) {
-						// Interpolate from white to base color
-						const factor = t / midPoint;
-						newR = Math.round(255 + (r - 255) * factor);
-						newG = Math.round(255 + (g - 255) * factor);
-						newB = Math.round(255 + (b - 255) * factor);
-					} else {
-						// Interpolate from base color to black
-						const factor = (t - midPoint) / (1 - midPoint);
-						newR = Math.round(r * (1 - factor));
-						newG = Math.round(g * (1 - factor));
-						newB = Math.round(b * (1 - factor));
-					}
+					steps.push(-Math.min(1, 0.2 + (i - 2) * 0.15));
 				}
-
-				scale.push(`${newR},${newG},${newB}`);
+			}
+		} else {
+			// White at index 0, black at the last index, base color in the middle
+			for (let i = 0; i < points; i++) {
+				steps.push(points === 1 ? 0 : 1 - 2 * (i / (points - 1)));
 			}
 		}
 
-		return scale;
+		return steps;
 	}
 
 	/**
 	 * Parse theme object into CSS text
 	 * @param {Object} themeData - Theme JSON with base and properties
-	 * @returns {String} CSS text with :root { ... }
+	 * @param {String} selector - Selector the rule is scoped to (default: ':root')
+	 * @returns {String} CSS text with {selector} { ... }
 	 */
-	parse(themeData) {
-		this.resolvedVars.clear();
+	parse(themeData, selector = ':root') {
+		this.resolvedVars = new Map();
 		const cssVars = [];
 
 		// Process base colors first (these are RGB values without rgb() wrapper)
@@ -108,7 +179,35 @@ export class ThemeParser {
 			});
 		}
 
-		return `:root {\n${cssVars.join('\n')}\n}`;
+		return `${selector} {\n${cssVars.join('\n')}\n}`;
+	}
+
+	/**
+	 * Build the CSS custom properties a theme sets, keyed by property name
+	 * Same values as parse(), for writing tokens one by one instead of as CSS text.
+	 *
+	 * @param {Object} themeData - Theme data with base and properties
+	 * @returns {Map<String, String>} Property name to CSS value
+	 */
+	toPropertyMap(themeData) {
+		const properties = new Map();
+
+		// Base colors
+		if (themeData.base) {
+			Object.entries(themeData.base).forEach(([key, value]) => {
+				if (key === 'isDark') return;
+				properties.set(key, String(value));
+			});
+		}
+
+		// Properties (with var() wrapping for references)
+		if (themeData.properties) {
+			Object.entries(themeData.properties).forEach(([key, value]) => {
+				properties.set(key, String(this.resolveValue(value)));
+			});
+		}
+
+		return properties;
 	}
 
 	/**
@@ -122,13 +221,158 @@ export class ThemeParser {
 		}
 
 		// If it's a CSS variable reference (--now-*, --uib-*, etc.)
-		if (value.startsWith('--')) {
-			return `var(${value})`;
+		if (this.isReference(value)) {
+			return `var(${value.trim()})`;
 		}
 
 		return value;
 	}
 
+	/**
+	 * Check whether a value references another token
+	 * @param {*} value - Property value
+	 * @returns {Boolean}
+	 */
+	isReference(value) {
+		return typeof value === 'string' && value.trim().startsWith('--');
+	}
+
+	/**
+	 * Look up a token's raw value in a theme
+	 * Properties win over base, matching the order parse() emits them in.
+	 *
+	 * @param {String} name - Token name (e.g., '--now-color_text--primary')
+	 * @param {Object} themeData - Theme object with base and properties
+	 * @returns {*} Raw value, or undefined if the token is not defined
+	 */
+	getRawValue(name, themeData) {
+		if (themeData.properties && Object.prototype.hasOwnProperty.call(themeData.properties, name)) {
+			return themeData.properties[name];
+		}
+
+		if (themeData.base && name !== 'isDark' && Object.prototype.hasOwnProperty.call(themeData.base, name)) {
+			return themeData.base[name];
+		}
+
+		return undefined;
+	}
+
+	/**
+	 * Follow a token's alias chain through a theme without throwing
+	 * @param {String} name - Token name
+	 * @param {Object} themeData - Merged theme object
+	 * @returns {Object} { value, chain, error } where error is null, 'missing' or 'cycle'
+	 *
+	 * @example
+	 * parser.traceToken('--now-actionable--primary--font-family', merged);
+	 * // { value: 'Lato, Arial, sans-serif', chain: ['--now-actionable--primary--font-family', ...], error: null }
+	 */
+	traceToken(name, themeData) {
+		const chain = [name];
+		let current = name;
+
+		while (true) {
+			const raw = this.getRawValue(current, themeData);
+
+			if (raw === undefined) {
+				return { value: null, chain, error: 'missing' };
+			}
+
+			if (!this.isReference(raw)) {
+				return { value: raw, chain, error: null };
+			}
+
+			const next = raw.trim();
+			const seen = chain.includes(next);
+			chain.push(next);
+
+			if (seen) {
+				return { value: null, chain, error: 'cycle' };
+			}
+
+			current = next;
+		}
+	}
+
+	/**
+	 * Resolve a token to its final literal value
+	 * @param {String} name - Token name
+	 * @param {Object} themeData - Merged theme object
+	 * @returns {*} Literal value
+	 * @throws {Error} If the chain is circular or ends at an undefined token
+	 */
+	resolveToken(name, themeData) {
+		const { value, chain, error } = this.traceToken(name, themeData);
+
+		if (error === 'cycle') {
+			throw new Error(`Circular reference: ${chain.join(' -> ')}`);
+		}
+
+		if (error === 'missing') {
+			throw new Error(`Token "${chain[chain.length - 1]}" is not defined (${chain.join(' -> ')})`);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Resolve every token in a theme to its literal value
+	 * Tokens with circular or missing references are left out.
+	 *
+	 * @param {Object} themeData - Merged theme object
+	 * @returns {Map<String, *>} Token name to literal value (also stored as resolvedVars)
+	 */
+	resolveAll(themeData) {
+		const resolved = new Map();
+
+		['base', 'properties'].forEach(section => {
+			Object.keys(themeData[section] || {}).forEach(name => {
+				if (name === 'isDark' || resolved.has(name)) return;
+
+				const { value, error } = this.traceToken(name, themeData);
+				if (!error) {
+					resolved.set(name, value);
+				}
+			});
+		});
+
+		this.resolvedVars = resolved;
+		return resolved;
+	}
+
+	/**
+	 * Replace every alias with its literal value
+	 * Useful where deep var() chains are slow or unsupported. Tokens that
+	 * cannot be resolved keep their reference so the browser behaves as before.
+	 *
+	 * @param {Object} themeData - Merged theme object
+	 * @returns {Object} New theme object whose properties hold literal values
+	 */
+	flatten(themeData) {
+		const resolved = this.resolveAll(themeData);
+		const flat = {
+			...themeData,
+			base: { ...(themeData.base || {}) },
+			properties: {}
+		};
+		let unresolved = 0;
+
+		Object.entries(themeData.properties || {}).forEach(([key, value]) => {
+			if (resolved.has(key)) {
+				flat.properties[key] = resolved.get(key);
+			} else {
+				flat.properties[key] = value;
+				unresolved++;
+			}
+		});
+
+		if (unresolved > 0) {
+			console.warn(`${unresolved} tokens could not be flattened (missing or circular references) and keep their var() reference`);
+		}
+
+		return flat;
+	}
+
 	/**
 	 * Merge multiple theme objects and generate color scales
 	 * Later themes override earlier themes (similar to Object.assign)
@@ -137,6 +381,7 @@ export class ThemeParser {
 	 */
 	merge(themes) {
 		const merged = { base: {}, properties: {} };
+		let scales = null;
 
 		themes.forEach(theme => {
 			if (theme.base) {
@@ -145,8 +390,18 @@ export class ThemeParser {
 			if (theme.properties) {
 				Object.assign(merged.properties, theme.properties);
 			}
+			if (theme.scales) {
+				scales = Object.assign(scales || {}, theme.scales);
+			}
+			if (theme.scaleAlgorithm) {
+				merged.scaleAlgorithm = theme.scaleAlgorithm;
+			}
 		});
 
+		if (scales) {
+			merged.scales = scales;
+		}
+
 		// Generate color scales from base colors
 		this.generateScales(merged);
 
@@ -155,102 +410,289 @@ export class ThemeParser {
 
 	/**
 	 * Generate color scale variants
-	 * - Neutral colors: 22-point scale (0-21)
-	 * - Other colors: 4-point scale (0-3) where index 1 = base color
+	 * The scale map comes from the theme's "scales" key, or DEFAULT_SCALES
+	 * if it has none. Each entry is keyed by a base color name, or by a
+	 * prefix ending in "*" to match several base colors:
+	 *
+	 *   "scales": {
+	 *     "--now-color--neutral": { "points": 22, "curve": "ramp" },
+	 *     "--now-color_alert--*": { "points": 6, "curve": "tint-shade" },
+	 *     "--now-color_surface--neutral": { "from": "--now-color--neutral", "points": 22 },
+	 *     "--now-color--focus": { "steps": [0.3, 0, -0.25] }
+	 *   }
+	 *
+	 * Exact entries win over prefix entries, and an entry set to null disables a scale.
+	 * "from" generates the scale from another base color. The color space is
+	 * picked per entry ("algorithm"), per theme (top-level "scaleAlgorithm")
+	 * or per parser, in that order.
+	 *
 	 * @param {Object} themeData - Theme object to enhance with scales
 	 */
 	generateScales(themeData) {
 		if (!themeData.base) return;
 
-		// Neutral uses 22-point scale (0=white, 21=black)
-		const neutralColors = ['--now-color--neutral'];
-
-		// All other colors use 4-point scale (0=lightest, 1=base, 2=darker, 3=darkest)
-		const fourPointColors = [
-			'--now-color--primary',
-			'--now-color--secondary',
-			'--now-color_selection--primary',
-			'--now-color_selection--secondary',
-			'--now-color--interactive',
-			'--now-color--link',
-			'--now-color--focus',
-			'--now-color_alert--critical',
-			'--now-color_alert--high',
-			'--now-color_alert--warning',
-			'--now-color_alert--moderate',
-			'--now-color_alert--info',
-			'--now-color_alert--positive',
-			'--now-color_alert--low'
-		];
-
 		let generatedCount = 0;
+		let colorCount = 0;
 
-		// Generate 22-point scale for neutral
-		neutralColors.forEach(colorName => {
-			const baseValue = themeData.base[colorName];
-			if (baseValue && typeof baseValue === 'string') {
-				const scale = this.generateColorScale(baseValue, 22);
-				scale.forEach((value, index) => {
-					themeData.base[`${colorName}-${index}`] = value;
-					generatedCount++;
-				});
-			}
+		this.getScaleTargets(themeData).forEach((config, colorName) => {
+			const baseValue = themeData.base[config.from || colorName];
+			if (!baseValue || typeof baseValue !== 'string') return;
+
+			const scale = this.generateColorScale(baseValue, config.points || 4, {
+				...config,
+				algorithm: config.algorithm || themeData.scaleAlgorithm || this.scaleAlgorithm
+			});
+			scale.forEach((value, index) => {
+				themeData.base[`${colorName}-${index}`] = value;
+				generatedCount++;
+			});
+			colorCount++;
 		});
 
-		// Generate 4-point scale for other colors
-		fourPointColors.forEach(colorName => {
-			const baseValue = themeData.base[colorName];
-			if (baseValue && typeof baseValue === 'string') {
-				const scale = this.generateColorScale(baseValue, 4);
-				scale.forEach((value, index) => {
-					themeData.base[`${colorName}-${index}`] = value;
-					generatedCount++;
-				});
+		console.log(`Generated ${generatedCount} color scale variants for ${colorCount} colors`);
+	}
+
+	/**
+	 * Expand a theme's scale map into one entry per color
+	 * Prefix entries are matched against the base colors, exact entries
+	 * override them, and disabled (null) entries are left out.
+	 *
+	 * @param {Object} themeData - Theme object with base and optional scales
+	 * @returns {Map<String, Object>} Color name to scale config
+	 */
+	getScaleTargets(themeData) {
+		const scales = themeData.scales || DEFAULT_SCALES;
+		const baseColors = Object.keys(themeData.base || {}).filter(key => key !== 'isDark' && !/-\d+$/.test(key));
+		const targets = new Map();
+
+		// Prefix entries first, so exact entries override them
+		Object.entries(scales).forEach(([pattern, config]) => {
+			if (!pattern.endsWith('*')) return;
+
+			const prefix = pattern.slice(0, -1);
+			baseColors
+				.filter(colorName => colorName.startsWith(prefix))
+				.forEach(colorName => targets.set(colorName, config));
+		});
+
+		Object.entries(scales).forEach(([colorName, config]) => {
+			if (!colorName.endsWith('*')) {
+				targets.set(colorName, config);
 			}
 		});
 
-		console.log(`Generated ${generatedCount} color scale variants (neutral: 22-point, others: 4-point)`);
+		targets.forEach((config, colorName) => {
+			if (!config) targets.delete(colorName);
+		});
+
+		return targets;
 	}
 
 	/**
 	 * Validate theme structure
+	 * Checks a single file on its own: section and key format, base color
+	 * triplets and unknown top-level keys. Use validateSet() to also check
+	 * references across the merged set.
+	 *
 	 * @param {Object} themeData - Theme object to validate
-	 * @returns {Object} Validation result { valid: boolean, errors: Array }
+	 * @param {String} file - File name reported with each issue (optional)
+	 * @returns {Object} Validation result { valid, errors, warnings, issues }
+	 *   where each issue is { severity, code, token, file, message }
 	 */
-	validate(themeData) {
-		const errors = [];
+	validate(themeData, file = null) {
+		const issues = [];
+		const report = (severity, code, token, message) => {
+			issues.push({ severity, code, token, file, message });
+		};
 
 		if (!themeData || typeof themeData !== 'object') {
-			errors.push('Theme data must be an object');
-			return { valid: false, errors };
+			report('error', 'invalid-theme', null, 'Theme data must be an object');
+			return this.validationResult(issues);
 		}
 
 		// Check if at least one section exists
 		if (!themeData.base && !themeData.properties) {
-			errors.push('Theme must have either "base" or "properties" section');
+			report('error', 'missing-section', null, 'Theme must have either "base" or "properties" section');
 		}
 
+		// Flag top-level keys the loader doesn't understand (usually typos)
+		Object.keys(themeData).forEach(key => {
+			if (!KNOWN_TOP_LEVEL_KEYS.includes(key)) {
+				report('warning', 'unknown-key', null, `Unknown top-level key "${key}"`);
+			}
+		});
+
 		// Validate base colors format
 		if (themeData.base) {
 			Object.entries(themeData.base).forEach(([key, value]) => {
-				if (!key.startsWith('--') && key !== 'isDark') {
-					errors.push(`Base key "${key}" should start with --`);
+				if (key === 'isDark') return;
+
+				if (!key.startsWith('--')) {
+					report('error', 'invalid-key', key, `Base key "${key}" should start with --`);
+				}
+
+				if (!this.isRgbTriplet(value)) {
+					report('error', 'invalid-color', key, `Base color "${key}" should be an "r,g,b" triplet with values from 0 to 255, got "${value}"`);
 				}
 			});
 		}
 
+		// Validate scale declarations
+		if (themeData.scales !== undefined) {
+			if (!themeData.scales || typeof themeData.scales !== 'object') {
+				report('error', 'invalid-scale', null, '"scales" must be an object');
+			} else {
+				Object.entries(themeData.scales).forEach(([key, config]) => {
+					const problem = this.checkScaleConfig(config);
+					if (problem) {
+						report('error', 'invalid-scale', key, `Scale "${key}" ${problem}`);
+					}
+				});
+			}
+		}
+
+		if (themeData.scaleAlgorithm !== undefined && !SCALE_ALGORITHMS.includes(themeData.scaleAlgorithm)) {
+			report('error', 'invalid-scale', null, `Unknown "scaleAlgorithm" ${JSON.stringify(themeData.scaleAlgorithm)} (expected ${SCALE_ALGORITHMS.join(' or ')})`);
+		}
+
 		// Validate properties
 		if (themeData.properties) {
 			Object.entries(themeData.properties).forEach(([key, value]) => {
 				if (!key.startsWith('--')) {
-					errors.push(`Property key "${key}" should start with --`);
+					report('error', 'invalid-key', key, `Property key "${key}" should start with --`);
 				}
 			});
 		}
 
+		return this.validationResult(issues);
+	}
+
+	/**
+	 * Validate a set of theme files as they will be merged
+	 * Runs validate() on every file, then checks the merged result for
+	 * references to undefined tokens and circular aliases. Issues are
+	 * reported against the file whose definition wins the merge.
+	 *
+	 * @param {Object[]} themes - Theme objects in merge order
+	 * @param {String[]} files - File name for each theme (optional)
+	 * @returns {Object} Validation result { valid, errors, warnings, issues }
+	 */
+	validateSet(themes, files = []) {
+		const issues = [];
+		const owners = new Map();
+
+		themes.forEach((theme, index) => {
+			const file = files[index] || null;
+			issues.push(...this.validate(theme, file).issues);
+
+			if (theme && typeof theme === 'object') {
+				['base', 'properties'].forEach(section => {
+					Object.keys(theme[section] || {}).forEach(key => owners.set(key, file));
+				});
+			}
+		});
+
+		const merged = this.merge(themes.filter(theme => theme && typeof theme === 'object'));
+		const reportedCycles = new Set();
+
+		Object.entries(merged.properties).forEach(([key, value]) => {
+			if (!this.isReference(value)) return;
+
+			const target = value.trim();
+			if (this.getRawValue(target, merged) === undefined) {
+				issues.push({
+					severity: 'error',
+					code: 'missing-reference',
+					token: key,
+					file: owners.get(key) || null,
+					message: `Token "${key}" references undefined token "${target}"`
+				});
+				return;
+			}
+
+			const { chain, error } = this.traceToken(key, merged);
+			if (error !== 'cycle') return;
+
+			// Report each cycle once, not once per token that leads into it
+			const loop = chain.slice(chain.indexOf(chain[chain.length - 1]), -1);
+			const cycleKey = [...loop].sort().join('|');
+			if (reportedCycles.has(cycleKey)) return;
+			reportedCycles.add(cycleKey);
+
+			issues.push({
+				severity: 'error',
+				code: 'circular-reference',
+				token: loop[0],
+				file: owners.get(loop[0]) || null,
+				message: `Circular reference: ${[...loop, loop[0]].join(' -> ')}`
+			});
+		});
+
+		return this.validationResult(issues);
+	}
+
+	/**
+	 * Check a single scale declaration
+	 * @param {Object|null} config - Scale config { points, curve, steps, from, algorithm }
+	 * @returns {String|null} Description of the problem, or null if valid
+	 */
+	checkScaleConfig(config) {
+		if (config === null) return null;
+
+		if (typeof config !== 'object') {
+			return 'must be an object or null';
+		}
+
+		if (config.points !== undefined && !(Number.isInteger(config.points) && config.points > 0)) {
+			return `has invalid "points" ${JSON.stringify(config.points)} (expected a positive integer)`;
+		}
+
+		if (config.curve !== undefined && !SCALE_CURVES.includes(config.curve)) {
+			return `has unknown "curve" ${JSON.stringify(config.curve)} (expected ${SCALE_CURVES.join(' or ')})`;
+		}
+
+		if (config.steps !== undefined &&
+			!(Array.isArray(config.steps) && config.steps.every(step => typeof step === 'number' && step >= -1 && step <= 1))) {
+			return 'has invalid "steps" (expected an array of numbers from -1 to 1)';
+		}
+
+		if (config.algorithm !== undefined && !SCALE_ALGORITHMS.includes(config.algorithm)) {
+			return `has unknown "algorithm" ${JSON.stringify(config.algorithm)} (expected ${SCALE_ALGORITHMS.join(' or ')})`;
+		}
+
+		if (config.from !== undefined && (typeof config.from !== 'string' || !config.from.startsWith('--'))) {
+			return `has invalid "from" ${JSON.stringify(config.from)} (expected a base color name)`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether a value is an "r,g,b" triplet with channels from 0 to 255
+	 * @param {*} value - Base color value
+	 * @returns {Boolean}
+	 */
+	isRgbTriplet(value) {
+		if (typeof value !== 'string') return false;
+
+		const channels = value.split(',').map(channel => channel.trim());
+		return channels.length === 3 &&
+			channels.every(channel => /^\d{1,3}$/.test(channel) && Number(channel) <= 255);
+	}
+
+	/**
+	 * Build a validation result from a list of issues
+	 * @param {Object[]} issues - Issues { severity, code, token, file, message }
+	 * @returns {Object} { valid, errors, warnings, issues }
+	 */
+	validationResult(issues) {
+		const errors = issues.filter(issue => issue.severity === 'error');
+
 		return {
 			valid: errors.length === 0,
-			errors
+			errors,
+			warnings: issues.filter(issue => issue.severity === 'warning'),
+			issues
 		};
 	}
 }
@@ -0,0 +1,58 @@
+/**
+ * Type declarations for scope.js
+ */
+
+import type { ThemeData, TokenName, TokenValue } from './parser.js';
+import type { ThemeInfo } from './index.js';
+
+export const DARK_SCHEME_QUERY: '(prefers-color-scheme: dark)';
+export const BOOTSTRAP_ATTRIBUTE: 'data-theme-bootstrap';
+export const BOOTSTRAP_TOKENS_ATTRIBUTE: 'data-theme-bootstrap-tokens';
+
+/**
+ * Element, shadow root, document or CSS selector to theme
+ */
+export type ThemeTarget = Element | ShadowRoot | Document | string;
+
+export interface ThemeScopeOptions {
+	/** ID for the injected style element (default: 'servicenow-theme') */
+	styleElementId?: string;
+}
+
+export class ThemeScope {
+	constructor(node: Element | ShadowRoot, options?: ThemeScopeOptions);
+
+	static resolveNode(target?: ThemeTarget | null): Element | ShadowRoot;
+
+	node: Element | ShadowRoot;
+	styleElementId: string;
+	appliedProperties: Map<TokenName, string>;
+	styleElement: HTMLStyleElement | null;
+	styleSheet: CSSStyleSheet | null;
+	activeTheme: string | string[] | null;
+	activeThemeInfo: ThemeInfo | null;
+	themeData: ThemeData | null;
+	appliedThemeData: ThemeData | null;
+	overrides: Record<TokenName, TokenValue>;
+	scopeId: string | null;
+	/** Running theme transition, resolved when its animation has finished */
+	transition: Promise<void> | null;
+
+	readonly isDocument: boolean;
+	readonly isShadowRoot: boolean;
+	readonly styleTarget: Element;
+	readonly selector: string;
+	readonly styleRoot: Document | ShadowRoot;
+	readonly followsColorScheme: boolean;
+
+	applyInline(properties: Map<TokenName, string>): { updated: number; removed: number };
+	adoptBootstrap(): Map<TokenName, string>;
+	supportsAdoptedStyleSheets(): boolean;
+	applyStylesheet(cssText: string, adopted?: boolean): 'adopted' | 'style';
+	watchColorScheme(callback: (prefersDark: boolean) => void): boolean;
+	unwatchColorScheme(): void;
+	/** @returns Number of inline properties cleared */
+	remove(): number;
+}
+
+export default ThemeScope;
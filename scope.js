@@ -0,0 +1,327 @@
+/**
+ * ThemeScope - A region of the page that a theme is applied to
+ *
+ * Wraps the document root, an element or a shadow root, and tracks the
+ * CSS custom properties and stylesheets written to it so themes can be
+ * diffed on switch and removed cleanly. Each scope is independent, which
+ * lets one page show several themes side by side.
+ */
+
+let scopeCounter = 0;
+
+/**
+ * Media query matching an OS-level dark color scheme
+ */
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Attribute the bootstrap snippet sets on <html> after writing its tokens
+ * (see ThemeCompiler.compileBootstrap)
+ */
+export const BOOTSTRAP_ATTRIBUTE = 'data-theme-bootstrap';
+
+/**
+ * Attribute listing the token names the bootstrap snippet wrote, space-separated
+ */
+export const BOOTSTRAP_TOKENS_ATTRIBUTE = 'data-theme-bootstrap-tokens';
+
+export class ThemeScope {
+	/**
+	 * Create a new scope
+	 * @param {Element|ShadowRoot} node - document.documentElement, an element or a shadow root
+	 * @param {Object} options - Configuration options
+	 * @param {String} options.styleElementId - ID for the injected style element (default: 'servicenow-theme')
+	 */
+	constructor(node, options = {}) {
+		this.node = node;
+		this.styleElementId = options.styleElementId || 'servicenow-theme';
+		this.appliedProperties = new Map();
+		this.styleElement = null;
+		this.styleSheet = null;
+		this.activeTheme = null;
+		this.activeThemeInfo = null;
+		this.themeData = null;
+		this.appliedThemeData = null;
+		this.overrides = {};
+		this.scopeId = null;
+		this.colorSchemeWatcher = null;
+		this.transition = null;
+	}
+
+	/**
+	 * Resolve a target into the node a scope wraps
+	 * @param {Element|ShadowRoot|Document|String} target - Element, shadow root, document or CSS selector
+	 * @returns {Element|ShadowRoot} Node to theme
+	 */
+	static resolveNode(target) {
+		if (!target || target === document) {
+			return document.documentElement;
+		}
+
+		if (typeof target === 'string') {
+			const node = document.querySelector(target);
+			if (!node) {
+				throw new Error(`Theme target "${target}" does not match any element`);
+			}
+			return node;
+		}
+
+		return target;
+	}
+
+	/**
+	 * Whether this scope is the whole document
+	 * @returns {Boolean}
+	 */
+	get isDocument() {
+		return this.node === document.documentElement;
+	}
+
+	/**
+	 * Whether this scope is a shadow root
+	 * @returns {Boolean}
+	 */
+	get isShadowRoot() {
+		return typeof ShadowRoot !== 'undefined' && this.node instanceof ShadowRoot;
+	}
+
+	/**
+	 * Element whose inline style receives the properties
+	 * (the host element for shadow roots)
+	 * @returns {Element}
+	 */
+	get styleTarget() {
+		return this.isShadowRoot ? this.node.host : this.node;
+	}
+
+	/**
+	 * Selector the generated stylesheet rule uses
+	 * - document: ':root'
+	 * - shadow root: ':host'
+	 * - element: a generated [data-theme-scope] attribute selector
+	 * @returns {String}
+	 */
+	get selector() {
+		if (this.isDocument) return ':root';
+		if (this.isShadowRoot) return ':host';
+
+		if (!this.scopeId) {
+			this.scopeId = `${this.styleElementId}-${++scopeCounter}`;
+			this.node.setAttribute('data-theme-scope', this.scopeId);
+		}
+
+		return `[data-theme-scope="${this.scopeId}"]`;
+	}
+
+	/**
+	 * Document or shadow root that owns this scope's stylesheets
+	 * @returns {Document|ShadowRoot}
+	 */
+	get styleRoot() {
+		return this.isShadowRoot ? this.node : document;
+	}
+
+	/**
+	 * Whether this scope re-applies its theme when the OS color scheme changes
+	 * @returns {Boolean}
+	 */
+	get followsColorScheme() {
+		return this.colorSchemeWatcher !== null;
+	}
+
+	/**
+	 * Apply CSS custom properties inline
+	 * Only the difference to the previously applied properties is written:
+	 * properties that are no longer defined are removed and only changed
+	 * values are set, so switching A→B ends in the same state as applying
+	 * B on a fresh page.
+	 *
+	 * @param {Map<String, String>} properties - Property name to CSS value
+	 * @returns {Object} Counts { updated, removed }
+	 */
+	applyInline(properties) {
+		const style = this.styleTarget.style;
+		let removed = 0;
+		let updated = 0;
+
+		// Values the bootstrap snippet already wrote count as applied
+		if (this.appliedProperties.size === 0) {
+			this.appliedProperties = this.adoptBootstrap();
+		}
+
+		this.appliedProperties.forEach((value, key) => {
+			if (!properties.has(key)) {
+				style.removeProperty(key);
+				removed++;
+			}
+		});
+
+		properties.forEach((value, key) => {
+			if (this.appliedProperties.get(key) !== value) {
+				style.setProperty(key, value);
+				updated++;
+			}
+		});
+
+		this.appliedProperties = properties;
+
+		return { updated, removed };
+	}
+
+	/**
+	 * Take over the inline properties written by the bootstrap snippet
+	 * Only the document scope is bootstrapped, and only once. Only the
+	 * tokens the snippet lists in data-theme-bootstrap-tokens are taken
+	 * over, so the page's own inline custom properties are left alone.
+	 *
+	 * @returns {Map<String, String>} Property name to the value the snippet set
+	 */
+	adoptBootstrap() {
+		const properties = new Map();
+
+		if (!this.isDocument || !this.node.hasAttribute(BOOTSTRAP_ATTRIBUTE)) {
+			return properties;
+		}
+
+		const style = this.node.style;
+		(this.node.getAttribute(BOOTSTRAP_TOKENS_ATTRIBUTE) || '')
+			.split(' ')
+			.filter(name => name.startsWith('--') && style.getPropertyValue(name) !== '')
+			.forEach(name => properties.set(name, style.getPropertyValue(name)));
+
+		this.node.removeAttribute(BOOTSTRAP_ATTRIBUTE);
+		this.node.removeAttribute(BOOTSTRAP_TOKENS_ATTRIBUTE);
+
+		return properties;
+	}
+
+	/**
+	 * Check whether constructable stylesheets can be adopted by this scope
+	 * @returns {Boolean}
+	 */
+	supportsAdoptedStyleSheets() {
+		return typeof CSSStyleSheet !== 'undefined' &&
+			'replaceSync' in CSSStyleSheet.prototype &&
+			'adoptedStyleSheets' in this.styleRoot;
+	}
+
+	/**
+	 * Write theme CSS to a single stylesheet, replacing the previous theme
+	 * Inline styles stay untouched, so user overrides keep winning.
+	 *
+	 * @param {String} cssText - CSS text from ThemeParser.parse()
+	 * @param {Boolean} adopted - Prefer a constructable stylesheet over a <style> element
+	 * @returns {String} 'adopted' or 'style', whichever was used
+	 */
+	applyStylesheet(cssText, adopted = false) {
+		const styleRoot = this.styleRoot;
+
+		// Inline bootstrap values would override the stylesheet, so drop them
+		this.adoptBootstrap().forEach((value, key) => {
+			this.node.style.removeProperty(key);
+		});
+
+		if (adopted && this.supportsAdoptedStyleSheets()) {
+			if (!this.styleSheet) {
+				this.styleSheet = new CSSStyleSheet();
+			}
+			this.styleSheet.replaceSync(cssText);
+
+			if (!styleRoot.adoptedStyleSheets.includes(this.styleSheet)) {
+				styleRoot.adoptedStyleSheets = [...styleRoot.adoptedStyleSheets, this.styleSheet];
+			}
+
+			return 'adopted';
+		}
+
+		if (!this.styleElement || !this.styleElement.isConnected) {
+			const id = this.scopeId || this.styleElementId;
+			this.styleElement = styleRoot.getElementById(id);
+
+			if (!this.styleElement) {
+				this.styleElement = document.createElement('style');
+				this.styleElement.id = id;
+				(this.isShadowRoot ? styleRoot : document.head).appendChild(this.styleElement);
+			}
+		}
+
+		this.styleElement.textContent = cssText;
+
+		return 'style';
+	}
+
+	/**
+	 * Call a function whenever the OS switches between light and dark
+	 * Replaces any watcher this scope already has.
+	 *
+	 * @param {Function} callback - Called with true when the OS prefers dark
+	 * @returns {Boolean} false where matchMedia is unavailable
+	 */
+	watchColorScheme(callback) {
+		this.unwatchColorScheme();
+
+		if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+			return false;
+		}
+
+		const query = window.matchMedia(DARK_SCHEME_QUERY);
+		const listener = (event) => callback(event.matches);
+		query.addEventListener('change', listener);
+		this.colorSchemeWatcher = { query, listener };
+
+		return true;
+	}
+
+	/**
+	 * Stop following the OS color scheme
+	 */
+	unwatchColorScheme() {
+		if (this.colorSchemeWatcher) {
+			const { query, listener } = this.colorSchemeWatcher;
+			query.removeEventListener('change', listener);
+			this.colorSchemeWatcher = null;
+		}
+	}
+
+	/**
+	 * Remove every property and stylesheet this scope has written
+	 * @returns {Number} Number of inline properties cleared
+	 */
+	remove() {
+		const style = this.styleTarget.style;
+		const count = this.appliedProperties.size;
+
+		this.unwatchColorScheme();
+
+		this.appliedProperties.forEach((value, key) => {
+			style.removeProperty(key);
+		});
+		this.appliedProperties.clear();
+
+		if (this.styleElement) {
+			this.styleElement.remove();
+			this.styleElement = null;
+		}
+
+		if (this.styleSheet) {
+			const styleRoot = this.styleRoot;
+			styleRoot.adoptedStyleSheets = styleRoot.adoptedStyleSheets.filter(sheet => sheet !== this.styleSheet);
+			this.styleSheet = null;
+		}
+
+		if (this.scopeId) {
+			this.node.removeAttribute('data-theme-scope');
+			this.scopeId = null;
+		}
+
+		this.activeTheme = null;
+		this.activeThemeInfo = null;
+		this.themeData = null;
+		this.appliedThemeData = null;
+		this.overrides = {};
+
+		return count;
+	}
+}
+
+export default ThemeScope;
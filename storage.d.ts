@@ -0,0 +1,18 @@
+/**
+ * Type declarations for storage.js
+ */
+
+export const DEFAULT_STORAGE_KEY: 'servicenow-theme';
+
+/**
+ * Stores the 'theme:variant' choice; either method may return a promise
+ */
+export interface StorageAdapter {
+	get(): string | null | undefined | Promise<string | null | undefined>;
+	set(value: string): void | Promise<void>;
+}
+
+export function createLocalStorageAdapter(key?: string): StorageAdapter;
+export function parseStoredTheme(value: unknown): { themeName: string; variant: string } | null;
+
+export default createLocalStorageAdapter;
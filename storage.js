@@ -0,0 +1,70 @@
+/**
+ * Storage adapters for persisting the user's theme choice
+ *
+ * An adapter is any object with get() and set(value) methods; both may
+ * return promises, so an app can plug in its own user-preference API.
+ * Values are 'theme:variant' strings, the same format the theme switcher
+ * uses (e.g. 'coral:dark' or 'coral:auto').
+ *
+ * @example
+ * const storage = {
+ *   get: () => fetch('/api/preferences/theme').then(response => response.text()),
+ *   set: (value) => fetch('/api/preferences/theme', { method: 'PUT', body: value })
+ * };
+ */
+
+/**
+ * Default key for the stored theme choice
+ */
+export const DEFAULT_STORAGE_KEY = 'servicenow-theme';
+
+/**
+ * Create an adapter backed by window.localStorage
+ * Storage errors (private browsing, disabled storage, quota) are logged and
+ * treated as "nothing stored", so they never break theme loading.
+ *
+ * @param {String} key - localStorage key (default: 'servicenow-theme')
+ * @returns {Object} Adapter { get, set }
+ */
+export function createLocalStorageAdapter(key = DEFAULT_STORAGE_KEY) {
+	const getStorage = () => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+	return {
+		get() {
+			try {
+				const storage = getStorage();
+				return storage ? storage.getItem(key) : null;
+			} catch (error) {
+				console.warn('Could not read stored theme:', error);
+				return null;
+			}
+		},
+
+		set(value) {
+			try {
+				const storage = getStorage();
+				if (storage) {
+					storage.setItem(key, value);
+				}
+			} catch (error) {
+				console.warn('Could not store theme:', error);
+			}
+		}
+	};
+}
+
+/**
+ * Split a stored 'theme:variant' value
+ * @param {*} value - Value returned by an adapter's get()
+ * @returns {Object|null} { themeName, variant }, or null if the value is empty or malformed
+ */
+export function parseStoredTheme(value) {
+	if (typeof value !== 'string') return null;
+
+	const [themeName, variant, ...rest] = value.trim().split(':');
+	if (!themeName || !variant || rest.length > 0) return null;
+
+	return { themeName, variant };
+}
+
+export default createLocalStorageAdapter;
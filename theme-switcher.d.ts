@@ -0,0 +1,78 @@
+/**
+ * Type declarations for theme-switcher.js
+ */
+
+import type { ServiceNowThemeLoader, InjectionMode, PreloadedThemes } from './index.js';
+import type { ScaleAlgorithm } from './parser.js';
+import type { StorageAdapter } from './storage.js';
+import type { ThemeManifest } from './manifest.js';
+import type { CacheBackend } from './cache.js';
+import type { TransitionOptions } from './transition.js';
+
+/**
+ * Variants and files of one theme, keyed by path
+ */
+export interface ThemeStructureEntry {
+	variants: string[];
+	files: PreloadedThemes;
+	/** Set when the structure comes from a manifest */
+	label?: string;
+	variantInfo?: Record<string, { label?: string; isDark: boolean }>;
+}
+
+export function parseThemeStructure(preloadedThemes: PreloadedThemes, manifest?: ThemeManifest | null): {
+	themes: Record<string, ThemeStructureEntry>;
+};
+
+export function supportsAutoVariant(themeName: string, themeData: ThemeStructureEntry): boolean;
+
+export interface WithThemesOptions {
+	/** Default theme name (auto-detected if omitted) */
+	defaultTheme?: string;
+	/** Default variant, or 'auto' to follow the OS (auto-detected if omitted) */
+	defaultVariant?: string;
+	/** Show theme switcher UI (default: true) */
+	showSwitcher?: boolean;
+	/** Remember the user's choice across reloads (default: true) */
+	persist?: boolean;
+	/** Custom storage adapter (default: localStorage) */
+	storage?: StorageAdapter;
+	/** localStorage key for the default adapter (default: 'servicenow-theme') */
+	storageKey?: string;
+	/** Base path themes are fetched from (default: '') */
+	basePath?: string;
+	/** Manifest object, path, or true for 'themes/manifest.json' (see ThemeLoaderOptions) */
+	manifest?: ThemeManifest | string | boolean;
+	/** Enable theme caching (default: true) */
+	enableCache?: boolean;
+	injectionMode?: InjectionMode;
+	scaleAlgorithm?: ScaleAlgorithm;
+	/** Milliseconds to wait for each fetched theme file (default: 10000) */
+	timeout?: number;
+	/** Extra attempts for transient fetch failures (default: 2) */
+	retries?: number;
+	/** Milliseconds before the first retry (default: 250) */
+	retryDelay?: number;
+	/** Keep fetched files across reloads (see ThemeLoaderOptions) */
+	persistentCache?: boolean | string | CacheBackend;
+	cacheVersion?: string;
+	cacheMaxAge?: number;
+	/** Animate theme switches (see ThemeLoaderOptions) */
+	transition?: boolean | TransitionOptions;
+	/** Load the other themes' files when the switcher is hovered or focused (default: true) */
+	prefetch?: boolean;
+	/** Expose window.themeLoader for debugging (default: true) */
+	debug?: boolean;
+	/** Custom global variable name for the loader */
+	globalName?: string;
+}
+
+export type WithThemesInit = (loader: ServiceNowThemeLoader) => void | Promise<void>;
+
+/**
+ * Resolves to null when no usable theme was found
+ */
+export function withThemes(preloadedThemes: PreloadedThemes | null, initFn?: WithThemesInit): Promise<ServiceNowThemeLoader | null>;
+export function withThemes(preloadedThemes: PreloadedThemes | null, options: WithThemesOptions, initFn?: WithThemesInit): Promise<ServiceNowThemeLoader | null>;
+
+export default withThemes;
@@ -1,9 +1,17 @@
-import { ServiceNowThemeLoader } from './index.js';
+import { ServiceNowThemeLoader, AUTO_VARIANT, isLazyTheme } from './index.js';
+import { createLocalStorageAdapter, parseStoredTheme } from './storage.js';
+import { compareVariantNames } from './manifest.js';
 
 /**
- * Parse theme structure from preloadedThemes keys
- * @param {Object} preloadedThemes - Preloaded theme objects keyed by path
- * @returns {Object} - { themes: { themeName: { variants: [], files: {} } } }
+ * Parse theme structure from a manifest or from preloadedThemes keys
+ * With a manifest, themes and variants come from it (including labels and
+ * isDark flags) and files holds whichever of their files were preloaded.
+ * Only the keys are needed, so lazy loaders (() => import(...)) are not called.
+ *
+ * @param {Object} preloadedThemes - Preloaded theme objects or lazy loaders keyed by path
+ * @param {Object} manifest - Theme manifest (optional, see manifest.js)
+ * @returns {Object} - { themes: { themeName: { variants: [], files: {}, label?, variantInfo? } } }
+ *   where variantInfo maps variant name to { label, isDark }
  *
  * @example
  * Input keys:
@@ -14,9 +22,27 @@ import { ServiceNowThemeLoader } from './index.js';
  * Output:
  *   { themes: { polaris: { variants: ['light', 'dark'], files: {...} } } }
  */
-export function parseThemeStructure(preloadedThemes) {
+export function parseThemeStructure(preloadedThemes, manifest = null) {
 	const themes = {};
 
+	if (manifest) {
+		Object.entries(manifest.themes).forEach(([themeName, entry]) => {
+			const prefix = `themes/${themeName}/`;
+
+			themes[themeName] = {
+				label: entry.label,
+				variants: Object.keys(entry.variants).sort(compareVariantNames),
+				variantInfo: Object.fromEntries(Object.entries(entry.variants).map(([variant, info]) => [
+					variant,
+					{ label: info.label, isDark: info.isDark === true }
+				])),
+				files: Object.fromEntries(Object.entries(preloadedThemes || {}).filter(([path]) => path.startsWith(prefix)))
+			};
+		});
+
+		return { themes };
+	}
+
 	Object.keys(preloadedThemes).forEach(path => {
 		// Match pattern: themes/{themeName}/variants/{variant}/{file}.json
 		const variantMatch = path.match(/themes\/([^/]+)\/variants\/([^/]+)\//);
@@ -58,13 +84,7 @@ export function parseThemeStructure(preloadedThemes) {
 
 	// Sort variants to ensure 'light' comes first if it exists
 	Object.values(themes).forEach(theme => {
-		theme.variants.sort((a, b) => {
-			if (a === 'light') return -1;
-			if (b === 'light') return 1;
-			if (a === 'dark') return -1;
-			if (b === 'dark') return 1;
-			return a.localeCompare(b);
-		});
+		theme.variants.sort(compareVariantNames);
 	});
 
 	return { themes };
@@ -72,14 +92,88 @@ export function parseThemeStructure(preloadedThemes) {
 
 /**
  * Get display name for a theme variant
+ * Manifest labels win; otherwise names are capitalized.
+ *
  * @param {String} themeName - Theme name (e.g., 'polaris')
  * @param {String} variant - Variant name (e.g., 'light')
+ * @param {Object} themeData - Entry from parseThemeStructure() (optional)
  * @returns {String} - Display name (e.g., 'Polaris - Light')
  */
-function getDisplayName(themeName, variant) {
+function getDisplayName(themeName, variant, themeData = {}) {
 	// Capitalize first letter of each word
 	const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
-	return `${capitalize(themeName)} - ${capitalize(variant)}`;
+	const variantInfo = (themeData.variantInfo || {})[variant] || {};
+	const variantLabel = variant === AUTO_VARIANT ? 'System' : (variantInfo.label || capitalize(variant));
+
+	return `${themeData.label || capitalize(themeName)} - ${variantLabel}`;
+}
+
+/**
+ * Check whether a theme can follow the OS color scheme
+ * Needs at least one variant flagged "isDark": "true" and one that isn't.
+ * A lazy colors file isn't imported just to check; the variant counts as
+ * dark when it is named 'dark' (use a manifest for other names).
+ *
+ * @param {String} themeName - Theme name (e.g., 'polaris')
+ * @param {Object} themeData - Entry from parseThemeStructure()
+ * @returns {Boolean}
+ */
+export function supportsAutoVariant(themeName, themeData) {
+	const flags = themeData.variants.map(variant => {
+		if (themeData.variantInfo && themeData.variantInfo[variant]) {
+			return themeData.variantInfo[variant].isDark;
+		}
+
+		const colors = themeData.files[`themes/${themeName}/variants/${variant}/colors.json`];
+		if (isLazyTheme(colors)) {
+			return variant === 'dark';
+		}
+		return Boolean(colors) && String(colors.isDark) === 'true';
+	});
+
+	return flags.includes(true) && flags.includes(false);
+}
+
+/**
+ * Check whether a theme and variant exist in the detected themes
+ * @param {Object} themes - Themes from parseThemeStructure()
+ * @param {String} themeName - Theme name
+ * @param {String} variant - Variant name or 'auto'
+ * @returns {Boolean}
+ */
+function hasVariant(themes, themeName, variant) {
+	if (!themes[themeName]) return false;
+
+	return variant === AUTO_VARIANT
+		? supportsAutoVariant(themeName, themes[themeName])
+		: themes[themeName].variants.includes(variant);
+}
+
+/**
+ * Read the stored theme choice, ignoring values that no longer match a theme
+ * @param {Object} storage - Storage adapter { get, set }
+ * @param {Object} themes - Themes from parseThemeStructure()
+ * @returns {Promise<Object|null>} { themeName, variant } or null
+ */
+async function readStoredTheme(storage, themes) {
+	let value;
+
+	try {
+		value = await storage.get();
+	} catch (error) {
+		console.warn('Could not read stored theme:', error);
+		return null;
+	}
+
+	if (value === null || value === undefined || value === '') return null;
+
+	const stored = parseStoredTheme(value);
+	if (!stored || !hasVariant(themes, stored.themeName, stored.variant)) {
+		console.warn(`Ignoring stored theme '${value}': no such theme or variant`);
+		return null;
+	}
+
+	return stored;
 }
 
 /**
@@ -92,8 +186,11 @@ class ThemeSwitcherElement extends HTMLElement {
 		this.attachShadow({ mode: 'open' });
 		this._themes = {};
 		this._loader = null;
+		this._storage = null;
 		this._currentTheme = null;
 		this._currentVariant = null;
+		this._prefetch = true;
+		this._prefetched = false;
 	}
 
 	connectedCallback() {
@@ -117,6 +214,38 @@ class ThemeSwitcherElement extends HTMLElement {
 		return this._loader;
 	}
 
+	set storage(value) {
+		this._storage = value;
+	}
+
+	get storage() {
+		return this._storage;
+	}
+
+	set prefetch(value) {
+		this._prefetch = value !== false;
+	}
+
+	get prefetch() {
+		return this._prefetch;
+	}
+
+	/**
+	 * Load every other theme variant in the background, the first time the
+	 * switcher is hovered or focused, so a pick doesn't wait for lazy imports
+	 * or fetches
+	 */
+	prefetchThemes() {
+		if (!this._prefetch || this._prefetched || !this._loader) return;
+		this._prefetched = true;
+
+		Object.entries(this._themes).forEach(([themeName, themeData]) => {
+			themeData.variants
+				.filter(variant => themeName !== this._currentTheme || variant !== this._currentVariant)
+				.forEach(variant => this._loader.prefetchTheme(themeName, variant));
+		});
+	}
+
 	set currentTheme(value) {
 		const [themeName, variant] = value.split(':');
 		this._currentTheme = themeName;
@@ -135,14 +264,28 @@ class ThemeSwitcherElement extends HTMLElement {
 		try {
 			console.log(`Switching to ${themeName} ${variant}...`);
 
-			await this._loader.loadTheme(themeName, variant);
+			const merged = await this._loader.loadTheme(themeName, variant, {
+				variants: this._themes[themeName].variants
+			});
+
+			// Canceled by a listener, or a newer selection took over
+			if (!merged) return;
 
 			this._currentTheme = themeName;
 			this._currentVariant = variant;
 
 			console.log(`✓ Switched to ${themeName} ${variant}`);
 
-			// Dispatch custom event for any listeners
+			if (this._storage) {
+				try {
+					await this._storage.set(value);
+				} catch (error) {
+					console.warn('Could not store theme:', error);
+				}
+			}
+
+			// Dispatch custom event for any listeners (after any theme
+			// transition, since loadTheme waits for it to finish)
 			this.dispatchEvent(new CustomEvent('theme-changed', {
 				detail: { themeName, variant },
 				bubbles: true,
@@ -150,6 +293,8 @@ class ThemeSwitcherElement extends HTMLElement {
 			}));
 		} catch (error) {
 			console.error('Failed to switch theme:', error);
+			// The previous theme is still applied; show it as selected again
+			this.render();
 		}
 	}
 
@@ -162,10 +307,14 @@ class ThemeSwitcherElement extends HTMLElement {
 		// Build options HTML
 		let optionsHtml = '';
 		Object.entries(this._themes).forEach(([themeName, themeData]) => {
-			themeData.variants.forEach(variant => {
+			const variants = supportsAutoVariant(themeName, themeData)
+				? [AUTO_VARIANT, ...themeData.variants]
+				: themeData.variants;
+
+			variants.forEach(variant => {
 				const value = `${themeName}:${variant}`;
 				const selected = (themeName === this._currentTheme && variant === this._currentVariant) ? 'selected' : '';
-				const displayName = getDisplayName(themeName, variant);
+				const displayName = getDisplayName(themeName, variant, themeData);
 				optionsHtml += `<option value="${value}" ${selected}>${displayName}</option>`;
 			});
 		});
@@ -226,9 +375,13 @@ class ThemeSwitcherElement extends HTMLElement {
 			</div>
 		`;
 
-		// Attach event listener
+		// Attach event listeners
 		const select = this.shadowRoot.querySelector('select');
 		select.addEventListener('change', this.handleThemeChange.bind(this));
+
+		const container = this.shadowRoot.querySelector('.container');
+		container.addEventListener('pointerenter', () => this.prefetchThemes());
+		container.addEventListener('focusin', () => this.prefetchThemes());
 	}
 }
 
@@ -238,7 +391,7 @@ customElements.define('theme-switcher', ThemeSwitcherElement);
 /**
  * Wrapper function to automatically setup themes with minimal code
  *
- * @param {Object} preloadedThemes - Preloaded theme objects keyed by path
+ * @param {Object} preloadedThemes - Preloaded theme objects keyed by path (may be empty when themes are fetched)
  * @param {Object|Function} optionsOrInitFn - Options object or init function
  * @param {Function} initFn - Initialization function (if options provided)
  * @returns {Promise<ServiceNowThemeLoader>} - Theme loader instance
@@ -254,6 +407,44 @@ customElements.define('theme-switcher', ThemeSwitcherElement);
  * withThemes(preloadedThemes, { defaultTheme: 'polaris', defaultVariant: 'dark' }, async (loader) => {
  *   // Your app code here
  * });
+ *
+ * @example
+ * // Remember the choice in the app's own preference store instead of localStorage
+ * withThemes(preloadedThemes, {
+ *   storage: { get: () => prefs.get('theme'), set: (value) => prefs.set('theme', value) }
+ * }, async (loader) => {
+ *   // Your app code here
+ * });
+ *
+ * @example
+ * // Keep variants out of the main bundle; each is imported when selected
+ * // (or when the switcher is hovered, see the prefetch option)
+ * withThemes({
+ *   'themes/coral/variants/light/colors.json': coralLightColors,
+ *   'themes/coral/variants/dark/colors.json': () => import('./themes/coral/variants/dark/colors.json'),
+ *   'themes/coral/shape-and-form.json': coralShapeForm,
+ *   'themes/coral/typography.json': coralTypography
+ * }, async (loader) => {
+ *   // Your app code here
+ * });
+ *
+ * @example
+ * // Fetch themes from a server, discovered through themes/manifest.json
+ * withThemes({}, { basePath: '/assets/', manifest: true }, async (loader) => {
+ *   // Your app code here
+ * });
+ *
+ * @example
+ * // Follow the OS light/dark setting
+ * withThemes(preloadedThemes, { defaultVariant: 'auto' }, async (loader) => {
+ *   // Your app code here
+ * });
+ *
+ * @example
+ * // Animate switches (skipped when the user prefers reduced motion)
+ * withThemes(preloadedThemes, { transition: { duration: 300 } }, async (loader) => {
+ *   // Your app code here
+ * });
  */
 export async function withThemes(preloadedThemes, optionsOrInitFn, initFn) {
 	// Handle overloaded parameters
@@ -266,11 +457,36 @@ export async function withThemes(preloadedThemes, optionsOrInitFn, initFn) {
 		options = optionsOrInitFn || {};
 	}
 
-	// Parse theme structure
-	const { themes } = parseThemeStructure(preloadedThemes);
+	// Create theme loader
+	const loader = new ServiceNowThemeLoader({
+		basePath: options.basePath,
+		manifest: options.manifest,
+		enableCache: options.enableCache !== false,
+		injectionMode: options.injectionMode,
+		scaleAlgorithm: options.scaleAlgorithm,
+		timeout: options.timeout,
+		retries: options.retries,
+		retryDelay: options.retryDelay,
+		persistentCache: options.persistentCache,
+		cacheVersion: options.cacheVersion,
+		cacheMaxAge: options.cacheMaxAge,
+		transition: options.transition,
+		preloadedThemes: preloadedThemes || {}
+	});
+
+	// Parse theme structure (from the manifest when there is one)
+	let manifest;
+	try {
+		manifest = await loader.loadManifest();
+	} catch (error) {
+		console.error('Failed to load theme manifest:', error);
+		return null;
+	}
+
+	const { themes } = parseThemeStructure(preloadedThemes || {}, manifest);
 
 	if (Object.keys(themes).length === 0) {
-		console.warn('No themes detected in preloadedThemes');
+		console.warn(manifest ? 'No themes listed in the theme manifest' : 'No themes detected in preloadedThemes');
 		return null;
 	}
 
@@ -285,22 +501,31 @@ export async function withThemes(preloadedThemes, optionsOrInitFn, initFn) {
 		return null;
 	}
 
-	if (!themes[defaultTheme].variants.includes(defaultVariant)) {
+	if (defaultVariant === AUTO_VARIANT) {
+		if (!supportsAutoVariant(defaultTheme, themes[defaultTheme])) {
+			console.error(`Theme '${defaultTheme}' needs a light and an "isDark" variant to follow the system color scheme`);
+			return null;
+		}
+	} else if (!themes[defaultTheme].variants.includes(defaultVariant)) {
 		console.error(`Variant '${defaultVariant}' not found for theme '${defaultTheme}'`);
 		return null;
 	}
 
-	// Create theme loader
-	const loader = new ServiceNowThemeLoader({
-		enableCache: options.enableCache !== false,
-		preloadedThemes
-	});
+	// A stored choice from an earlier visit wins over the defaults
+	const storage = options.persist === false
+		? null
+		: options.storage || createLocalStorageAdapter(options.storageKey);
+	const stored = storage ? await readStoredTheme(storage, themes) : null;
+	const initialTheme = stored ? stored.themeName : defaultTheme;
+	const initialVariant = stored ? stored.variant : defaultVariant;
 
 	// Load default theme
 	try {
-		console.log(`Loading default theme: ${defaultTheme} - ${defaultVariant}`);
-		await loader.loadTheme(defaultTheme, defaultVariant);
-		console.log('✓ Default theme loaded');
+		console.log(`Loading ${stored ? 'stored' : 'default'} theme: ${initialTheme} - ${initialVariant}`);
+		await loader.loadTheme(initialTheme, initialVariant, {
+			variants: themes[initialTheme].variants
+		});
+		console.log(`✓ ${stored ? 'Stored' : 'Default'} theme loaded`);
 	} catch (error) {
 		console.error('Failed to load default theme:', error);
 		throw error;
@@ -311,7 +536,9 @@ export async function withThemes(preloadedThemes, optionsOrInitFn, initFn) {
 		const switcher = document.createElement('theme-switcher');
 		switcher.themes = themes;
 		switcher.loader = loader;
-		switcher.currentTheme = `${defaultTheme}:${defaultVariant}`;
+		switcher.storage = storage;
+		switcher.prefetch = options.prefetch;
+		switcher.currentTheme = `${initialTheme}:${initialVariant}`;
 		document.body.appendChild(switcher);
 
 		console.log('✓ Theme switcher injected');
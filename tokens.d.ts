@@ -0,0 +1,37 @@
+/**
+ * Type declarations for tokens.js
+ */
+
+import type { ThemeData } from './parser.js';
+import type { NamedStyle } from './importer.js';
+
+export const EXTENSION_KEY: 'com.servicenow.theme-loader';
+
+export interface TokenExportOptions {
+	/** Mark the tokens as a dark variant */
+	isDark?: boolean;
+}
+
+/**
+ * Token object in W3C, Style Dictionary or Tokens Studio format; groups nest
+ */
+export type TokenDocument = Record<string, any>;
+
+export interface TokenSet {
+	theme: ThemeData;
+	isDark?: boolean;
+}
+
+export interface TokensStudioTheme {
+	name: string;
+	/** Set names enabled in order */
+	sets: string[];
+}
+
+export function toW3CTokens(theme: ThemeData, options?: TokenExportOptions): TokenDocument;
+export function fromW3CTokens(tokens: TokenDocument): ThemeData;
+export function toStyleDictionary(theme: ThemeData, options?: TokenExportOptions): TokenDocument;
+export function fromStyleDictionary(tokens: TokenDocument): ThemeData;
+export function toTokensStudio(sets: Record<string, TokenSet>, themes?: TokensStudioTheme[]): TokenDocument;
+/** One style per Tokens Studio theme (a single unnamed style without $themes) */
+export function fromTokensStudio(document: TokenDocument): NamedStyle[];
@@ -0,0 +1,334 @@
+/**
+ * Design token format converters
+ *
+ * Converts between this project's { base, properties } themes and:
+ * - W3C Design Tokens Community Group format ($value/$type, {alias} references)
+ * - Style Dictionary JSON (value/type, {alias} references)
+ * - Tokens Studio for Figma (token sets plus $themes)
+ *
+ * Token names keep their custom property name without the leading dashes
+ * ('--now-color--primary' becomes 'now-color--primary'), so aliases read
+ * '{now-color--primary}'. "r,g,b" colors are written as hex and read back
+ * as "r,g,b", and base tokens are marked in $extensions, so a theme
+ * survives a round trip unchanged.
+ */
+
+/**
+ * $extensions namespace for data only this project needs
+ */
+export const EXTENSION_KEY = 'com.servicenow.theme-loader';
+
+/**
+ * Key names per format
+ */
+const FORMATS = {
+	w3c: { value: '$value', type: '$type' },
+	'style-dictionary': { value: 'value', type: 'type' },
+	'tokens-studio': { value: 'value', type: 'type' }
+};
+
+/**
+ * Tokens Studio names for the W3C types used here
+ */
+const TOKENS_STUDIO_TYPES = {
+	color: 'color',
+	dimension: 'dimension',
+	fontFamily: 'fontFamilies',
+	fontWeight: 'fontWeights',
+	number: 'number'
+};
+
+const RGB_PATTERN = /^\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Whether a value is an alias to another custom property
+ * @param {*} value - Token value
+ * @returns {Boolean}
+ */
+function isAlias(value) {
+	return typeof value === 'string' && /^--[\w-]+$/.test(value.trim());
+}
+
+/**
+ * List a theme's tokens; properties win over base tokens of the same name
+ * @param {Object} theme - Theme with base and properties
+ * @returns {Map<String, Object>} Token name to { value, section }
+ */
+function listTokens(theme) {
+	const tokens = new Map();
+
+	['base', 'properties'].forEach(section => {
+		Object.entries(theme[section] || {}).forEach(([name, value]) => {
+			if (name === 'isDark') return;
+			tokens.set(name, { value, section });
+		});
+	});
+
+	return tokens;
+}
+
+/**
+ * Infer the W3C type of a literal value
+ * @param {String} name - Token name
+ * @param {*} value - Raw value
+ * @returns {String|null} W3C type, or null to leave it untyped
+ */
+function inferType(name, value) {
+	const text = String(value).trim();
+
+	if (RGB_PATTERN.test(text)) return 'color';
+	if (/^-?\d*\.?\d+(px|rem|em)$/.test(text)) return 'dimension';
+	if (/font-family/.test(name)) return 'fontFamily';
+	if (/font-weight/.test(name) && NUMBER_PATTERN.test(text)) return 'fontWeight';
+	if (NUMBER_PATTERN.test(text) && String(Number(text)) === text) return 'number';
+
+	return null;
+}
+
+/**
+ * Encode a theme value for a token file
+ * @param {String} name - Token name
+ * @param {*} value - Raw value
+ * @returns {Object} { value, type } where type is null for aliases and untyped literals
+ */
+function encodeValue(name, value) {
+	if (isAlias(value)) {
+		return { value: `{${value.trim().slice(2)}}`, type: null };
+	}
+
+	const type = inferType(name, value);
+	const text = String(value).trim();
+
+	if (type === 'color') {
+		const hex = text.match(RGB_PATTERN).slice(1).map(channel => Number(channel).toString(16).padStart(2, '0')).join('');
+		return { value: `#${hex}`, type };
+	}
+
+	if (type === 'number' || type === 'fontWeight') {
+		return { value: Number(text), type };
+	}
+
+	return { value, type };
+}
+
+/**
+ * Decode a token file value into a theme value
+ * @param {*} value - $value/value from the token file
+ * @returns {*} Theme value ("r,g,b" for opaque colors, '--name' for aliases)
+ */
+function decodeValue(value) {
+	if (typeof value === 'string') {
+		const alias = value.trim().match(/^\{([^{}]+)\}$/);
+		if (alias) {
+			return `--${alias[1].split('.').join('--')}`;
+		}
+
+		const hex = value.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+		if (hex) {
+			const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+			return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16)).join(',');
+		}
+
+		return value;
+	}
+
+	// W3C color objects: { colorSpace: 'srgb', components: [r, g, b] } with channels from 0 to 1
+	if (value && typeof value === 'object' && value.colorSpace === 'srgb' && Array.isArray(value.components) &&
+		(value.alpha === undefined || value.alpha === 1)) {
+		return value.components.map(channel => Math.round(channel * 255)).join(',');
+	}
+
+	if (typeof value === 'number') {
+		return String(value);
+	}
+
+	return value;
+}
+
+/**
+ * Convert a theme into a flat token object
+ * @param {Object} theme - Theme with base and properties (usually merged, with generated scales)
+ * @param {String} format - 'w3c', 'style-dictionary' or 'tokens-studio'
+ * @param {Object} options - Conversion options
+ * @param {Boolean} options.isDark - Mark the tokens as a dark variant
+ * @returns {Object} Token object
+ */
+function toTokens(theme, format, options = {}) {
+	const keys = FORMATS[format];
+	const tokens = {};
+
+	if (options.isDark) {
+		tokens.$extensions = { [EXTENSION_KEY]: { isDark: true } };
+	}
+
+	listTokens(theme).forEach(({ value, section }, name) => {
+		const encoded = encodeValue(name, value);
+		const token = { [keys.value]: encoded.value };
+
+		if (encoded.type) {
+			token[keys.type] = format === 'tokens-studio' ? TOKENS_STUDIO_TYPES[encoded.type] : encoded.type;
+		} else if (format === 'tokens-studio' && !isAlias(value)) {
+			token[keys.type] = 'other';
+		}
+
+		if (section === 'base') {
+			token.$extensions = { [EXTENSION_KEY]: { section: 'base' } };
+		}
+
+		tokens[name.slice(2)] = token;
+	});
+
+	return tokens;
+}
+
+/**
+ * Convert a token object back into a theme
+ * Nested groups are joined with '--' ({ color: { primary } } becomes
+ * --color--primary). Without base markers, as in files from other tools,
+ * literal colors are treated as base colors.
+ *
+ * @param {Object} tokens - Token object (one set)
+ * @param {String} format - 'w3c', 'style-dictionary' or 'tokens-studio'
+ * @returns {Object} Theme { isDark?, base, properties }
+ */
+function fromTokens(tokens, format) {
+	const keys = FORMATS[format];
+	const found = [];
+
+	const walk = (group, path) => {
+		Object.entries(group).forEach(([key, node]) => {
+			if (key.startsWith('$') || !node || typeof node !== 'object') return;
+
+			if (keys.value in node) {
+				found.push({ name: `--${[...path, key].join('--')}`, node });
+			} else {
+				walk(node, [...path, key]);
+			}
+		});
+	};
+	walk(tokens, []);
+
+	const extensionOf = (node) => (node.$extensions && node.$extensions[EXTENSION_KEY]) || {};
+	const hasMarkers = found.some(({ node }) => extensionOf(node).section === 'base');
+	const theme = {};
+
+	if (extensionOf(tokens).isDark) {
+		theme.isDark = 'true';
+	}
+	theme.base = {};
+	theme.properties = {};
+
+	found.forEach(({ name, node }) => {
+		const value = decodeValue(node[keys.value]);
+		const isBase = hasMarkers
+			? extensionOf(node).section === 'base'
+			: typeof value === 'string' && RGB_PATTERN.test(value);
+
+		(isBase ? theme.base : theme.properties)[name] = value;
+	});
+
+	return theme;
+}
+
+/**
+ * Convert a theme to W3C Design Tokens
+ * @param {Object} theme - Theme with base and properties
+ * @param {Object} options - { isDark }
+ * @returns {Object} Token object
+ */
+export function toW3CTokens(theme, options = {}) {
+	return toTokens(theme, 'w3c', options);
+}
+
+/**
+ * Convert W3C Design Tokens to a theme
+ * @param {Object} tokens - Token object
+ * @returns {Object} Theme { isDark?, base, properties }
+ */
+export function fromW3CTokens(tokens) {
+	return fromTokens(tokens, 'w3c');
+}
+
+/**
+ * Convert a theme to Style Dictionary JSON
+ * @param {Object} theme - Theme with base and properties
+ * @param {Object} options - { isDark }
+ * @returns {Object} Token object
+ */
+export function toStyleDictionary(theme, options = {}) {
+	return toTokens(theme, 'style-dictionary', options);
+}
+
+/**
+ * Convert Style Dictionary JSON to a theme
+ * @param {Object} tokens - Token object
+ * @returns {Object} Theme { isDark?, base, properties }
+ */
+export function fromStyleDictionary(tokens) {
+	return fromTokens(tokens, 'style-dictionary');
+}
+
+/**
+ * Convert theme files to a Tokens Studio document
+ * Each entry of sets becomes a token set, and each entry of themes a
+ * Tokens Studio theme that enables its sets in order.
+ *
+ * @param {Object} sets - Set name to { theme, isDark }
+ * @param {Object[]} themes - [{ name, sets: [setName, ...] }]
+ * @returns {Object} Tokens Studio JSON with $themes and $metadata
+ *
+ * @example
+ * toTokensStudio(
+ *   { 'coral/light': { theme: light }, 'coral/dark': { theme: dark, isDark: true }, 'coral/typography': { theme: typography } },
+ *   [{ name: 'coral light', sets: ['coral/light', 'coral/typography'] }, { name: 'coral dark', sets: ['coral/dark', 'coral/typography'] }]
+ * );
+ */
+export function toTokensStudio(sets, themes = []) {
+	const document = {};
+
+	Object.entries(sets).forEach(([setName, { theme, isDark }]) => {
+		document[setName] = toTokens(theme, 'tokens-studio', { isDark });
+	});
+
+	document.$themes = themes.map(({ name, sets: setNames }) => ({
+		id: name.replace(/[^\w-]+/g, '-'),
+		name,
+		selectedTokenSets: Object.fromEntries(setNames.map(setName => [setName, 'enabled']))
+	}));
+	document.$metadata = { tokenSetOrder: Object.keys(sets) };
+
+	return document;
+}
+
+/**
+ * Convert a Tokens Studio document to one theme per Tokens Studio theme
+ * Enabled and source sets are merged in token set order. Documents
+ * without $themes produce a single theme from every set.
+ *
+ * @param {Object} document - Tokens Studio JSON
+ * @returns {Object[]} [{ name, style }] where style is { isDark?, base, properties }
+ */
+export function fromTokensStudio(document) {
+	const setNames = (document.$metadata && document.$metadata.tokenSetOrder) ||
+		Object.keys(document).filter(key => !key.startsWith('$'));
+	const themes = document.$themes && document.$themes.length > 0
+		? document.$themes.map(theme => ({
+			name: theme.name,
+			sets: setNames.filter(setName => ['enabled', 'source'].includes((theme.selectedTokenSets || {})[setName]))
+		}))
+		: [{ name: '', sets: setNames }];
+
+	return themes.map(({ name, sets }) => {
+		const style = { base: {}, properties: {} };
+
+		sets.forEach(setName => {
+			const theme = fromTokens(document[setName] || {}, 'tokens-studio');
+			if (theme.isDark) style.isDark = 'true';
+			Object.assign(style.base, theme.base);
+			Object.assign(style.properties, theme.properties);
+		});
+
+		return { name, style };
+	});
+}
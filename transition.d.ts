@@ -0,0 +1,38 @@
+/**
+ * Type declarations for transition.js
+ */
+
+import type { ThemeScope } from './scope.js';
+
+export const REDUCED_MOTION_QUERY: '(prefers-reduced-motion: reduce)';
+
+/**
+ * 'auto' uses the View Transitions API for the document scope where it's
+ * available; 'css' always uses a temporary transition on color properties
+ */
+export type TransitionMode = 'auto' | 'css';
+
+export interface TransitionOptions {
+	/** Milliseconds the animation runs (default: 250) */
+	duration?: number;
+	/** CSS timing function (default: 'ease') */
+	easing?: string;
+	mode?: TransitionMode;
+}
+
+export interface TransitionSettings {
+	duration: number;
+	easing: string;
+	mode: TransitionMode;
+}
+
+export const DEFAULT_TRANSITION: TransitionSettings;
+
+/** @throws {Error} If mode is unknown */
+export function normalizeTransition(option?: boolean | TransitionOptions | null): TransitionSettings | null;
+export function prefersReducedMotion(): boolean;
+export function supportsViewTransitions(): boolean;
+/** Resolves once the animation has finished */
+export function runThemeTransition(scope: ThemeScope, update: () => void, settings: TransitionSettings | null): Promise<'view' | 'css' | 'none'>;
+
+export default runThemeTransition;
@@ -0,0 +1,178 @@
+/**
+ * Animated theme transitions
+ *
+ * Switching variants swaps hundreds of custom properties at once, which
+ * reads as a flash. With transitions enabled the switch is animated: the
+ * View Transitions API cross-fades the page where it's available, and
+ * elsewhere a temporary `transition` on color properties eases the
+ * change. Users who ask for reduced motion get the instant switch.
+ *
+ * @example
+ * const loader = new ServiceNowThemeLoader({ transition: { duration: 300 } });
+ */
+
+/**
+ * Media query matching an OS-level request for less motion
+ */
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Defaults for the loader's transition option
+ * - duration: milliseconds the animation runs
+ * - easing: CSS timing function
+ * - mode: 'auto' (View Transitions where supported, else CSS) or 'css'
+ */
+export const DEFAULT_TRANSITION = {
+	duration: 250,
+	easing: 'ease',
+	mode: 'auto'
+};
+
+/**
+ * Properties the CSS fallback animates
+ */
+const COLOR_PROPERTIES = [
+	'color',
+	'background-color',
+	'border-color',
+	'outline-color',
+	'text-decoration-color',
+	'caret-color',
+	'fill',
+	'stroke',
+	'box-shadow'
+];
+
+/**
+ * Resolve the transition option to settings
+ * @param {Boolean|Object} option - true for the defaults, or { duration, easing, mode }
+ * @returns {Object|null} Settings { duration, easing, mode }, or null for no transition
+ * @throws {Error} If mode is unknown
+ */
+export function normalizeTransition(option) {
+	if (!option) return null;
+
+	const settings = { ...DEFAULT_TRANSITION };
+	if (typeof option === 'object') {
+		Object.entries(option)
+			.filter(([, value]) => value !== undefined)
+			.forEach(([key, value]) => { settings[key] = value; });
+	}
+
+	if (!['auto', 'css'].includes(settings.mode)) {
+		throw new Error(`Unknown transition mode "${settings.mode}" (expected 'auto' or 'css')`);
+	}
+
+	return settings;
+}
+
+/**
+ * Check whether the user asked the OS for reduced motion
+ * @returns {Boolean} false where matchMedia is unavailable
+ */
+export function prefersReducedMotion() {
+	if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+		return false;
+	}
+
+	return window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Check whether the View Transitions API is available
+ * @returns {Boolean}
+ */
+export function supportsViewTransitions() {
+	return typeof document !== 'undefined' && typeof document.startViewTransition === 'function';
+}
+
+/**
+ * Run a theme update as an animated transition
+ * View transitions snapshot the whole page, so they're only used for the
+ * document scope; element and shadow root scopes use the CSS fallback.
+ * With reduced motion (or no settings) the update runs right away.
+ *
+ * @param {ThemeScope} scope - Scope being updated
+ * @param {Function} update - Writes the new theme to the scope (may run asynchronously)
+ * @param {Object} settings - Settings from normalizeTransition()
+ * @returns {Promise<String>} Resolves with 'view', 'css' or 'none' once the animation has finished
+ * @throws {Error} If a synchronous update throws (view transition updates are logged instead)
+ */
+export function runThemeTransition(scope, update, settings) {
+	if (!settings || settings.duration <= 0 || prefersReducedMotion()) {
+		update();
+		return Promise.resolve('none');
+	}
+
+	if (settings.mode === 'auto' && scope.isDocument && supportsViewTransitions()) {
+		return runViewTransition(update, settings);
+	}
+
+	return runCssTransition(scope, update, settings);
+}
+
+/**
+ * Cross-fade the page with document.startViewTransition()
+ * @param {Function} update - DOM update
+ * @param {Object} settings - { duration, easing }
+ * @returns {Promise<String>} 'view'
+ */
+function runViewTransition(update, settings) {
+	const style = document.createElement('style');
+	style.textContent = `::view-transition-group(root), ::view-transition-old(root), ::view-transition-new(root) {
+	animation-duration: ${settings.duration}ms;
+	animation-timing-function: ${settings.easing};
+}`;
+	document.head.appendChild(style);
+
+	const transition = document.startViewTransition(update);
+
+	// finished also settles when a newer transition skips this one
+	return transition.finished
+		.catch(error => console.error('Theme transition failed:', error))
+		.then(() => {
+			style.remove();
+			return 'view';
+		});
+}
+
+/**
+ * Ease the change with a temporary transition on color properties
+ * @param {ThemeScope} scope - Scope being updated
+ * @param {Function} update - DOM update
+ * @param {Object} settings - { duration, easing }
+ * @returns {Promise<String>} 'css'
+ */
+function runCssTransition(scope, update, settings) {
+	const selectors = scope.isDocument || scope.isShadowRoot
+		? [scope.selector, '*', '*::before', '*::after']
+		: [scope.selector, `${scope.selector} *`, `${scope.selector} *::before`, `${scope.selector} *::after`];
+	const value = COLOR_PROPERTIES
+		.map(property => `${property} ${settings.duration}ms ${settings.easing}`)
+		.join(', ');
+
+	const style = document.createElement('style');
+	style.textContent = `${selectors.join(', ')} {\n\ttransition: ${value} !important;\n}`;
+	(scope.isShadowRoot ? scope.styleRoot : document.head).appendChild(style);
+
+	// Flush styles so the old values are the transition's starting point
+	if (typeof getComputedStyle === 'function') {
+		getComputedStyle(scope.styleTarget).getPropertyValue('color');
+	}
+
+	try {
+		update();
+	} catch (error) {
+		style.remove();
+		throw error;
+	}
+
+	return new Promise(resolve => {
+		setTimeout(() => {
+			style.remove();
+			resolve('css');
+		}, settings.duration);
+	});
+}
+
+export default runThemeTransition;